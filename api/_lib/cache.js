@@ -0,0 +1,117 @@
+/**
+ * Plan cache for the AI endpoint
+ * Repeated prompts reuse the plan generated the first time instead of calling
+ * the provider again. Entries are keyed on the normalized prompt, the provider
+ * model and the plan schema version, expire after a TTL and are evicted
+ * oldest-first past a size limit. Configured from environment variables:
+ *
+ *   AI_CACHE               memory (default), file or off
+ *   AI_CACHE_TTL_SECONDS   entry lifetime, default 3600
+ *   AI_CACHE_MAX_ENTRIES   stored plans, default 200
+ *   AI_CACHE_FILE          file store path, default <tmpdir>/universodu-plan-cache.json
+ */
+
+import { createHash } from "node:crypto";
+import { readFile, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { SCHEMA_VERSION } from "../../shared/schema.js";
+
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_ENTRIES = 200;
+const DEFAULT_FILE_NAME = "universodu-plan-cache.json";
+
+/**
+ * Create the cache configured by env, or null when caching is off
+ */
+export function createPlanCache(env = process.env) {
+  const mode = (env.AI_CACHE || "memory").toLowerCase().trim();
+  if (mode === "off") return null;
+  const ttlMs = parsePositive(env.AI_CACHE_TTL_SECONDS, DEFAULT_TTL_SECONDS) * 1000;
+  const maxEntries = Math.floor(parsePositive(env.AI_CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES));
+  const store = mode === "file"
+    ? createFileStore(env.AI_CACHE_FILE || join(tmpdir(), DEFAULT_FILE_NAME))
+    : createMemoryStore();
+
+  return {
+    async get(key) {
+      const entries = await store.load();
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() - entry.storedAt > ttlMs) {
+        entries.delete(key);
+        await store.save(entries);
+        return null;
+      }
+      // Reinsert so the Map order stays least-recently-used first
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.plan;
+    },
+    async set(key, plan) {
+      const entries = await store.load();
+      entries.delete(key);
+      entries.set(key, { plan, storedAt: Date.now() });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      await store.save(entries);
+    },
+  };
+}
+
+/**
+ * Cache key for a prompt. Case, accents, spacing and punctuation do not
+ * change the key; the provider, model and schema version do.
+ */
+export function planCacheKey({ prompt, provider, model }) {
+  const normalized = String(prompt || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[¡!¿?.,;:]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return createHash("sha256")
+    .update(JSON.stringify([SCHEMA_VERSION, provider || "", model || "", normalized]))
+    .digest("hex");
+}
+
+function parsePositive(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function createMemoryStore() {
+  const entries = new Map();
+  return {
+    async load() {
+      return entries;
+    },
+    async save() {},
+  };
+}
+
+// Whole-file JSON store, read once per process and rewritten on every change.
+// On Vercel only the temp directory is writable, and it is per instance.
+function createFileStore(path) {
+  let entries = null;
+  return {
+    async load() {
+      if (entries) return entries;
+      try {
+        entries = new Map(Object.entries(JSON.parse(await readFile(path, "utf8"))));
+      } catch (error) {
+        entries = new Map();
+      }
+      return entries;
+    },
+    async save(current) {
+      try {
+        await writeFile(path, JSON.stringify(Object.fromEntries(current)));
+      } catch (error) {
+        console.warn("No se pudo guardar la cache de planes:", error.message);
+      }
+    },
+  };
+}
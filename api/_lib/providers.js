@@ -0,0 +1,156 @@
+/**
+ * LLM provider adapters for the AI endpoint
+ * Every provider exposes complete() (full text) and stream() (text deltas) for
+ * a list of chat messages. The provider is picked from environment variables:
+ *
+ *   AI_PROVIDER=openrouter  OPENROUTER_API_KEY, OPENROUTER_MODEL, OPENROUTER_SITE_URL, OPENROUTER_APP_NAME
+ *   AI_PROVIDER=openai      AI_BASE_URL (e.g. http://127.0.0.1:11434/v1 for Ollama), AI_API_KEY, AI_MODEL
+ *   AI_PROVIDER=mock        AI_MOCK_RESPONSE (optional canned model output)
+ *
+ * Without AI_PROVIDER, OpenRouter is used when its key is set, then an
+ * OpenAI-compatible server when AI_BASE_URL is set.
+ */
+
+import { tokenize } from "../../shared/lexicon.js";
+import { ENTITY_LEXICON } from "../../shared/schema.js";
+import { readCompletionDeltas } from "./stream.js";
+
+const OPENROUTER_BASE_URL = "https://openrouter.ai/api/v1";
+const OPENROUTER_DEFAULT_MODEL = "meta-llama/llama-3.1-8b-instruct";
+const DEFAULT_TEMPERATURE = 0.4;
+
+/**
+ * Create the provider configured by env, or null when none is configured
+ */
+export function createProvider(env = process.env) {
+  const name = (env.AI_PROVIDER || "").toLowerCase().trim() || detectProvider(env);
+  switch (name) {
+    case "openrouter":
+      if (!env.OPENROUTER_API_KEY) return null;
+      return createOpenAiCompatibleProvider({
+        name,
+        baseUrl: OPENROUTER_BASE_URL,
+        apiKey: env.OPENROUTER_API_KEY,
+        model: env.OPENROUTER_MODEL || OPENROUTER_DEFAULT_MODEL,
+        temperature: parseTemperature(env.AI_TEMPERATURE),
+        headers: {
+          ...(env.OPENROUTER_SITE_URL ? { "HTTP-Referer": env.OPENROUTER_SITE_URL } : {}),
+          ...(env.OPENROUTER_APP_NAME ? { "X-Title": env.OPENROUTER_APP_NAME } : {}),
+        },
+      });
+    case "openai":
+      if (!env.AI_BASE_URL) return null;
+      return createOpenAiCompatibleProvider({
+        name,
+        baseUrl: env.AI_BASE_URL,
+        apiKey: env.AI_API_KEY,
+        model: env.AI_MODEL || "default",
+        temperature: parseTemperature(env.AI_TEMPERATURE),
+      });
+    case "mock":
+      return createMockProvider({ response: env.AI_MOCK_RESPONSE });
+    default:
+      return null;
+  }
+}
+
+function detectProvider(env) {
+  if (env.OPENROUTER_API_KEY) return "openrouter";
+  if (env.AI_BASE_URL) return "openai";
+  return "";
+}
+
+function parseTemperature(value) {
+  const temperature = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(temperature) ? temperature : DEFAULT_TEMPERATURE;
+}
+
+// Errors carry the upstream HTTP status so the handler can forward it
+function providerError(status) {
+  const error = new Error(`Proveedor de IA respondio ${status}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Adapter for any server speaking the OpenAI chat completions API
+ * (OpenRouter, llama.cpp, Ollama, vLLM, LM Studio...)
+ */
+export function createOpenAiCompatibleProvider({ name = "openai", baseUrl, apiKey, model, temperature, headers = {} }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  async function request({ messages, signal, stream }) {
+    const response = await fetch(url, {
+      method: "POST",
+      signal,
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...headers,
+      },
+      body: JSON.stringify({
+        model,
+        temperature,
+        ...(stream ? { stream: true } : {}),
+        messages,
+      }),
+    });
+    if (!response.ok) {
+      throw providerError(response.status);
+    }
+    return response;
+  }
+
+  return {
+    name,
+    model,
+    async complete({ messages, signal }) {
+      const response = await request({ messages, signal, stream: false });
+      const data = await response.json();
+      return data?.choices?.[0]?.message?.content?.trim() || "";
+    },
+    async *stream({ messages, signal }) {
+      const response = await request({ messages, signal, stream: true });
+      yield* readCompletionDeltas(response.body);
+    },
+  };
+}
+
+/**
+ * Offline provider. Returns AI_MOCK_RESPONSE verbatim when set; otherwise a
+ * plan built from the entity types named in the prompt. Same prompt, same answer.
+ */
+export function createMockProvider({ response } = {}) {
+  function reply(messages) {
+    if (response) return response;
+    const content = String(messages[messages.length - 1]?.content || "");
+    const words = tokenize(content.split("\n")[0].replace(/^Prompt:\s*/, ""));
+    const types = [];
+    for (let i = 0; i < words.length; i += 1) {
+      const match = ENTITY_LEXICON.match(words, i, { fuzzy: false });
+      if (!match) continue;
+      if (!types.includes(match.value)) types.push(match.value);
+      i += match.length - 1;
+    }
+    return JSON.stringify({
+      summary: types.length ? `Prueba: ${types.join(", ")}` : "Paisaje de prueba",
+      tags: types.length ? [] : ["mirage"],
+      entities: (types.length ? types : ["rock"]).map((type) => ({ type, quantity: 2 })),
+    });
+  }
+
+  return {
+    name: "mock",
+    model: response ? "canned" : "keywords",
+    async complete({ messages }) {
+      return reply(messages);
+    },
+    // Fixed-size chunks, like a model writing a few tokens at a time
+    async *stream({ messages }) {
+      const text = reply(messages);
+      for (let i = 0; i < text.length; i += 12) {
+        yield text.slice(i, i + 12);
+      }
+    },
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Token-bucket rate limiting for the AI endpoint
+ * Each key (a client IP or an origin) gets a bucket that holds up to one
+ * minute of requests and refills continuously. Configured from environment
+ * variables, where 0 disables that limit:
+ *
+ *   AI_RATE_LIMIT_IP       requests per minute per client IP, default 10
+ *   AI_RATE_LIMIT_ORIGIN   requests per minute per origin, default 60
+ *
+ * Buckets live in memory, so on Vercel each instance counts on its own.
+ */
+
+const DEFAULT_IP_PER_MINUTE = 10;
+const DEFAULT_ORIGIN_PER_MINUTE = 60;
+// Past this many buckets, the ones that refilled completely are dropped, then
+// the ones used longest ago
+const MAX_BUCKETS = 5000;
+
+/**
+ * Create a limiter allowing perMinute requests per key, with bursts up to
+ * perMinute. peek(key) tells whether a token is available without spending
+ * it; take(key) spends one when available.
+ */
+export function createTokenBucket({ perMinute }) {
+  // Kept in order of last use, oldest first
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  function prune(now) {
+    buckets.forEach((bucket, key) => {
+      refill(bucket, now);
+      if (bucket.tokens >= perMinute) buckets.delete(key);
+    });
+    // Busy keys never refill; evict by age since last use until there is room
+    for (const key of buckets.keys()) {
+      if (buckets.size < MAX_BUCKETS) break;
+      buckets.delete(key);
+    }
+  }
+
+  // The bucket for key, refilled up to now and moved to the end as most recently used
+  function use(key, now) {
+    let bucket = buckets.get(key);
+    if (bucket) {
+      buckets.delete(key);
+    } else {
+      if (buckets.size >= MAX_BUCKETS) prune(now);
+      bucket = { tokens: perMinute, updatedAt: now };
+    }
+    buckets.set(key, bucket);
+    refill(bucket, now);
+    return bucket;
+  }
+
+  // Returns { allowed, retryAfter } with retryAfter in whole seconds
+  function peek(key, now = Date.now()) {
+    const bucket = use(key, now);
+    if (bucket.tokens >= 1) return { allowed: true, retryAfter: 0 };
+    return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+  }
+
+  return {
+    peek,
+    take(key, now = Date.now()) {
+      const result = peek(key, now);
+      if (result.allowed) buckets.get(key).tokens -= 1;
+      return result;
+    },
+  };
+}
+
+/**
+ * Create the per-IP and per-origin limits configured by env.
+ * check(req) returns null when the request may proceed, or { retryAfter }.
+ * A request spends a token from every limit only when all of them allow it,
+ * so a request refused by one limit does not count against the others.
+ */
+export function createRateLimiter(env = process.env) {
+  const limits = [
+    { perMinute: parseLimit(env.AI_RATE_LIMIT_IP, DEFAULT_IP_PER_MINUTE), keyOf: clientIp },
+    { perMinute: parseLimit(env.AI_RATE_LIMIT_ORIGIN, DEFAULT_ORIGIN_PER_MINUTE), keyOf: requestOrigin },
+  ]
+    .filter((limit) => limit.perMinute > 0)
+    .map((limit) => ({ ...limit, bucket: createTokenBucket(limit) }));
+
+  return {
+    check(req) {
+      const now = Date.now();
+      const keys = limits.map((limit) => limit.keyOf(req));
+      const refused = limits
+        .map((limit, index) => limit.bucket.peek(keys[index], now))
+        .filter((result) => !result.allowed);
+      if (refused.length) {
+        return { retryAfter: Math.max(...refused.map((result) => result.retryAfter)) };
+      }
+      limits.forEach((limit, index) => limit.bucket.take(keys[index], now));
+      return null;
+    },
+  };
+}
+
+function parseLimit(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// Vercel and most proxies put the client first in x-forwarded-for
+function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || req.headers["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+function requestOrigin(req) {
+  return req.headers.origin || "none";
+}
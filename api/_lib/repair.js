@@ -0,0 +1,149 @@
+/**
+ * Tolerant parsing of model output for the AI endpoint
+ * Models often wrap the plan in prose or code fences, leave trailing commas,
+ * use single quotes or get cut off mid-array. parseModelOutput() tries strict
+ * JSON first, then a repaired version of the text, then salvages the complete
+ * entities it can find, and reports which of those paths worked.
+ */
+
+import { createEntityStreamParser } from "./stream.js";
+
+const CLOSERS = { "{": "}", "[": "]" };
+
+/**
+ * Parse a plan out of raw model text.
+ * Returns { value, path } with path "json", "repaired" or "salvaged", or
+ * { value: null, error } with the strict parse error when nothing worked.
+ */
+export function parseModelOutput(raw) {
+  let error = null;
+  try {
+    return { value: JSON.parse(cleanModelOutput(raw)), path: "json" };
+  } catch (parseError) {
+    error = parseError.message;
+  }
+
+  // Repair from the first brace on: a truncated plan has no closing brace to cut at
+  const start = (raw || "").indexOf("{");
+  try {
+    return { value: JSON.parse(repairJson(start === -1 ? "" : raw.slice(start))), path: "repaired" };
+  } catch (repairError) {
+    // Fall through to salvaging entities
+  }
+
+  const salvaged = salvagePlan(raw || "");
+  if (salvaged) {
+    return { value: salvaged, path: "salvaged" };
+  }
+  return { value: null, error };
+}
+
+/**
+ * Strip code fences and any text around the outermost braces
+ */
+export function cleanModelOutput(text) {
+  if (!text) return "";
+  let cleaned = text.trim();
+  if (cleaned.startsWith("```")) {
+    cleaned = cleaned.replace(/^```[a-zA-Z0-9_-]*\s*/, "");
+    if (cleaned.endsWith("```")) {
+      cleaned = cleaned.slice(0, -3);
+    }
+  }
+  const firstBrace = cleaned.indexOf("{");
+  const lastBrace = cleaned.lastIndexOf("}");
+  if (firstBrace !== -1 && lastBrace !== -1) {
+    cleaned = cleaned.slice(firstBrace, lastBrace + 1);
+  }
+  return cleaned;
+}
+
+/**
+ * Rewrite almost-JSON into JSON: single-quoted strings become double-quoted,
+ * trailing commas are dropped and a truncated text is closed, discarding the
+ * member or value that was being written when it stopped. Text after the
+ * first complete value (a closing fence, prose) is ignored.
+ */
+export function repairJson(text) {
+  let out = "";
+  const stack = [];
+  let quote = "";
+  let escaped = false;
+
+  for (const char of text) {
+    if (quote) {
+      if (escaped) {
+        // \' is not a JSON escape; inside a double-quoted string it is just '
+        out += char === "'" ? "'" : `\\${char}`;
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === quote) {
+        out += '"';
+        quote = "";
+      } else if (char === '"') {
+        out += '\\"';
+      } else if (char === "\n") {
+        out += "\\n";
+      } else {
+        out += char;
+      }
+      continue;
+    }
+    switch (char) {
+      case '"':
+      case "'":
+        quote = char;
+        out += '"';
+        break;
+      case "{":
+      case "[":
+        stack.push(char);
+        out += char;
+        break;
+      case "}":
+      case "]":
+        // Closers that do not match the open bracket are dropped
+        if (CLOSERS[stack[stack.length - 1]] !== char) break;
+        stack.pop();
+        out = out.replace(/,\s*$/, "") + char;
+        if (!stack.length) return out;
+        break;
+      default:
+        out += char;
+    }
+  }
+
+  if (!stack.length) return out;
+
+  // Truncated: close an open string, then drop whatever was left half-written
+  if (quote) out += '"';
+  let previous = "";
+  while (previous !== out) {
+    previous = out;
+    out = out
+      .replace(/\s+$/, "")
+      .replace(/,$/, "")
+      .replace(/:$/, "")
+      .replace(/(?:-|\.|\b(?!true\b|false\b|null\b)[a-z]+)$/, "");
+    if (stack[stack.length - 1] === "{") {
+      // A key without its value
+      out = out.replace(/"(?:[^"\\]|\\.)*"$/, (key, offset) => (/[{,]\s*$/.test(out.slice(0, offset)) ? "" : key));
+    }
+  }
+  return out + stack.reverse().map((open) => CLOSERS[open]).join("");
+}
+
+// Complete entity objects and the summary, when nothing else parses
+function salvagePlan(raw) {
+  const entities = createEntityStreamParser().push(raw);
+  if (!entities.length) return null;
+  const summary = raw.match(/"summary"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+  let text = "";
+  try {
+    text = summary ? JSON.parse(`"${summary[1]}"`) : "";
+  } catch (error) {
+    text = "";
+  }
+  return { summary: text, entities };
+}
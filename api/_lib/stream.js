@@ -0,0 +1,119 @@
+/**
+ * Streaming helpers for the AI endpoint
+ * Reads OpenAI-style server-sent events and picks complete entities out of a
+ * plan while its JSON is still arriving
+ */
+
+/**
+ * Yield the text deltas of a streamed chat completion (an SSE response body)
+ */
+export async function* readCompletionDeltas(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      const delta = parseEventLine(line);
+      if (delta === null) return;
+      if (delta) yield delta;
+    }
+  }
+  const delta = parseEventLine(buffer);
+  if (delta) yield delta;
+}
+
+// Returns the content delta of one SSE line, "" for comments and keep-alives,
+// or null at the [DONE] marker
+function parseEventLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith("data:")) return "";
+  const data = trimmed.slice(5).trim();
+  if (data === "[DONE]") return null;
+  try {
+    const event = JSON.parse(data);
+    return event?.choices?.[0]?.delta?.content || "";
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Incremental scanner for a plan's JSON text. push(text) returns the raw
+ * objects of the top-level "entities" array that were completed by that text.
+ * Code fences or prose around the JSON are skipped.
+ */
+export function createEntityStreamParser() {
+  let text = "";
+  let cursor = 0;
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let lastTopLevelString = "";
+  let entitiesDepth = -1;
+  let entityStart = -1;
+
+  function push(chunk) {
+    text += chunk;
+    const completed = [];
+    for (; cursor < text.length; cursor += 1) {
+      const char = text[cursor];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (stack.length === 1) {
+            lastTopLevelString = text.slice(stringStart + 1, cursor);
+          }
+        }
+        continue;
+      }
+      if (!stack.length && char !== "{") continue;
+      switch (char) {
+        case '"':
+          inString = true;
+          stringStart = cursor;
+          break;
+        case "{":
+          stack.push(char);
+          if (entitiesDepth !== -1 && stack.length === entitiesDepth + 1) {
+            entityStart = cursor;
+          }
+          break;
+        case "[":
+          stack.push(char);
+          if (stack.length === 2 && lastTopLevelString === "entities") {
+            entitiesDepth = stack.length;
+          }
+          break;
+        case "}":
+          if (entityStart !== -1 && stack.length === entitiesDepth + 1) {
+            try {
+              completed.push(JSON.parse(text.slice(entityStart, cursor + 1)));
+            } catch (error) {
+              // Malformed entity: the final plan parse decides what survives
+            }
+            entityStart = -1;
+          }
+          stack.pop();
+          break;
+        case "]":
+          if (stack.length === entitiesDepth) {
+            entitiesDepth = -1;
+          }
+          stack.pop();
+          break;
+        default:
+          break;
+      }
+    }
+    return completed;
+  }
+
+  return { push, text: () => text };
+}
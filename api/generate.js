@@ -1,86 +1,51 @@
 /**
  * Vercel serverless function for AI landscape generation
- * Handles prompt processing via OpenRouter API
+ * Handles prompt processing through the provider configured in the environment
+ * (see _lib/providers.js). Also mounted by the Vite dev server, so development
+ * and production share the same code path.
+ *
+ * With { stream: true } in the body the response is NDJSON: one
+ * { type: "entity", entity } line per entity as soon as the model completes it,
+ * then { type: "plan", plan } with the full plan, or { type: "error", error }.
+ *
+ * Plans are cached (see _lib/cache.js). The X-Plan-Cache header tells whether
+ * the plan came from the cache (hit), the provider (miss) or the provider
+ * because the client sent { fresh: true } (bypass).
+ *
+ * Malformed model output is repaired or salvaged, or the model is asked once
+ * more (see _lib/repair.js). The X-Plan-Parse header, or the parse field of the
+ * plan event when streaming, names the path that produced the plan: json,
+ * repaired, salvaged, retry or text (the raw text used as summary).
+ *
+ * Requests are rate limited per client IP and per origin (see _lib/ratelimit.js);
+ * past the limit the answer is 429 with Retry-After.
  */
 
-// Shared constants (duplicated here for serverless environment)
-const ALLOWED_TAGS = new Set([
-  "cacti",
-  "rocks",
-  "oasis",
-  "ruins",
-  "crystals",
-  "mirage",
-  "fireflies",
-  "totems",
-  "structures",
-  "flora",
-  "portals",
-  "storm",
-  "sentinels",
-  "creatures",
-  "nomads",
-]);
-
-const ENTITY_TYPES = new Set([
-  "structure",
-  "tower",
-  "tree",
-  "oasis",
-  "water",
-  "crystal",
-  "portal",
-  "fireflies",
-  "totem",
-  "rock",
-  "dune",
-  "bridge",
-  "monolith",
-  "flora",
-  "creature",
-  "sentinel",
-  "cacti",
-  "ruins",
-  "mirage",
-  "nomad",
-  "storm",
-]);
-
-const ENTITY_ALIAS_MAP = {
-  structures: "structure",
-  building: "structure",
-  buildings: "structure",
-  towers: "tower",
-  trees: "tree",
-  cactus: "cacti",
-  cactuses: "cacti",
-  oasis: "oasis",
-  waters: "water",
-  lakes: "water",
-  crystals: "crystal",
-  portals: "portal",
-  gateways: "portal",
-  firefly: "fireflies",
-  fireflies: "fireflies",
-  totems: "totem",
-  rocks: "rock",
-  stones: "rock",
-  dunes: "dune",
-  bridges: "bridge",
-  monoliths: "monolith",
-  florae: "flora",
-  plants: "flora",
-  creatures: "creature",
-  sentinels: "sentinel",
-  guardians: "sentinel",
-  ruins: "ruins",
-  temples: "ruins",
-  mirages: "mirage",
-  visions: "mirage",
-  nomads: "nomad",
-  caravans: "nomad",
-  storms: "storm",
-};
+import {
+  PLAN_LIMITS,
+  buildSystemPrompt,
+  normalizeEntity,
+  normalizePlan,
+  normalizeScene,
+  validateSchema,
+} from "../shared/schema.js";
+import { createPlanCache, planCacheKey } from "./_lib/cache.js";
+import { createProvider } from "./_lib/providers.js";
+import { createRateLimiter } from "./_lib/ratelimit.js";
+import { parseModelOutput } from "./_lib/repair.js";
+import { createEntityStreamParser } from "./_lib/stream.js";
+
+// Without streaming this bounds the whole completion; with streaming it is the
+// longest allowed silence between chunks
+const REQUEST_TIMEOUT_MS = 25000;
+
+// Scene descriptions are the largest part of a request; 120 objects fit well under this
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Created on first use: the dev server copies .env into process.env after
+// this module is imported
+let planCache;
+let rateLimiter;
 
 // Allowed origins for CORS (production domains)
 const ALLOWED_ORIGINS = [
@@ -99,6 +64,7 @@ function getCorsHeaders(origin) {
     "Access-Control-Allow-Origin": allowedOrigin,
     "Access-Control-Allow-Methods": "POST, OPTIONS",
     "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Expose-Headers": "X-Plan-Cache, X-Plan-Parse, Retry-After",
     "Access-Control-Max-Age": "86400",
   };
 }
@@ -125,9 +91,28 @@ export default async function handler(req, res) {
     return;
   }
 
+  rateLimiter = rateLimiter || createRateLimiter(process.env);
+  const limited = rateLimiter.check(req);
+  if (limited) {
+    res.setHeader("Retry-After", String(limited.retryAfter));
+    res.status(429).json({ error: "Demasiadas solicitudes", retryAfter: limited.retryAfter });
+    return;
+  }
+
+  if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) {
+    res.status(413).json({ error: "Solicitud demasiado grande" });
+    return;
+  }
+
   let body = "";
+  let bodyBytes = 0;
   try {
     for await (const chunk of req) {
+      bodyBytes += typeof chunk === "string" ? Buffer.byteLength(chunk) : chunk.length;
+      if (bodyBytes > MAX_BODY_BYTES) {
+        res.status(413).json({ error: "Solicitud demasiado grande" });
+        return;
+      }
       body += chunk;
     }
   } catch (err) {
@@ -150,95 +135,118 @@ export default async function handler(req, res) {
     res.status(400).json({ error: "prompt requerido" });
     return;
   }
+  if (prompt.length > PLAN_LIMITS.promptLength) {
+    res.status(400).json({ error: `prompt demasiado largo (max ${PLAN_LIMITS.promptLength} caracteres)` });
+    return;
+  }
+
+  // Optional description of the current scene, so the plan can edit existing objects
+  const scene = normalizeScene(payload.scene);
+  const userMessage = scene?.objects.length
+    ? `Prompt: ${prompt}\nEscena actual: ${JSON.stringify(scene)}`
+    : `Prompt: ${prompt}`;
 
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  if (!apiKey) {
-    console.error("API key not configured");
+  const stream = payload.stream === true;
+  const provider = createProvider(process.env);
+  if (!provider) {
+    console.error("AI provider not configured");
     res.status(500).json({ error: "Configuracion de servidor incompleta" });
     return;
   }
 
-  try {
-    const headers = {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    };
-
-    if (process.env.OPENROUTER_SITE_URL) {
-      headers["HTTP-Referer"] = process.env.OPENROUTER_SITE_URL;
+  if (planCache === undefined) {
+    planCache = createPlanCache(process.env);
+  }
+  const cacheKey = planCache ? planCacheKey({ prompt, provider: provider.name, model: provider.model }) : null;
+  if (cacheKey && payload.fresh !== true) {
+    const cached = await planCache.get(cacheKey);
+    if (cached) {
+      res.setHeader("X-Plan-Cache", "hit");
+      if (stream) {
+        replayPlan(cached, res);
+      } else {
+        res.status(200).json(cached);
+      }
+      return;
     }
-    if (process.env.OPENROUTER_APP_NAME) {
-      headers["X-Title"] = process.env.OPENROUTER_APP_NAME;
+  }
+  if (cacheKey) {
+    res.setHeader("X-Plan-Cache", payload.fresh === true ? "bypass" : "miss");
+  }
+  // Edits name objects of the scene they were planned for, so only plans
+  // that just add to the world are reused. Partial plans are not kept either.
+  const remember = ({ plan, parse }) => {
+    if (cacheKey && !plan.operations && parse !== "salvaged" && parse !== "text") {
+      planCache.set(cacheKey, plan).catch(() => {});
     }
+  };
+
+  const messages = [
+    // Built from the shared schema on every request, so entity types defined
+    // at runtime with defineEntityType() reach the model too
+    { role: "system", content: buildSystemPrompt() },
+    { role: "user", content: userMessage },
+  ];
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 25000);
+  const controller = new AbortController();
+  let timeoutId = null;
+  const restartTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  };
 
-    const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-      method: "POST",
-      headers,
+  // One more completion with the parse error, when the first output is unusable
+  const retry = (raw, parseError) => {
+    restartTimeout();
+    return provider.complete({
       signal: controller.signal,
-      body: JSON.stringify({
-        model: process.env.OPENROUTER_MODEL || "meta-llama/llama-3.1-8b-instruct",
-        temperature: 0.4,
-        messages: [
-          {
-            role: "system",
-            content:
-              "Eres el motor creativo de UniversoDu, un desierto inmersivo generado en Three.js. Recibirás descripciones breves y debes responder SOLO JSON con tres campos: summary (string concisa en español), tags (array con 1-4 valores del listado: cacti, rocks, oasis, ruins, crystals, mirage, fireflies, totems, structures, flora, portals, storm, sentinels, creatures, nomads) y entities (array). Cada elemento de entities debe ser un objeto con al menos: entity (uno de: structure, tower, tree, oasis, water, crystal, portal, fireflies, totem, rock, dune, bridge, monolith, flora, creature, sentinel, cacti, ruins, mirage, nomad, storm) y quantity (1-8). Puedes añadir campos opcionales como color (hex o nombre CSS), size (small, medium, large), floors, height, width, radius, spread o detail para ayudar al motor 3D a construir el objeto. Usa summary para describir el paisaje en una frase. No incluyas texto extra fuera del JSON.",
-          },
-          {
-            role: "user",
-            content: `Prompt: ${prompt}`,
-          },
-        ],
-      }),
+      messages: messages.concat(
+        { role: "assistant", content: raw.slice(0, 4000) },
+        {
+          role: "user",
+          content: `Tu respuesta no es JSON valido (${parseError}). Responde de nuevo solo con el objeto JSON del plan, sin texto extra.`,
+        }
+      ),
     });
+  };
 
-    clearTimeout(timeoutId);
+  try {
+    restartTimeout();
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("OpenRouter error:", response.status);
-      res.status(response.status).json({ error: "Error del proveedor de IA" });
+    if (stream) {
+      const deltas = provider.stream({ messages, signal: controller.signal });
+      const result = await streamPlan(deltas, res, restartTimeout, retry);
+      if (result) remember(result);
+      clearTimeout(timeoutId);
       return;
     }
 
-    const data = await response.json();
-    const raw = data?.choices?.[0]?.message?.content?.trim() || "";
-
-    let summary = "";
-    let tags = [];
-    let entities = [];
-    try {
-      const cleaned = cleanModelOutput(raw);
-      const parsed = JSON.parse(cleaned);
-      summary = typeof parsed.summary === "string" ? parsed.summary : "";
-      tags = Array.isArray(parsed.tags) ? parsed.tags : [];
-      if (Array.isArray(parsed.entities)) {
-        entities = parsed.entities;
-      }
-    } catch (error) {
-      summary = raw.slice(0, 200);
-    }
-
-    const sanitizedTags = tags
-      .map((tag) => tag.toString().toLowerCase().trim())
-      .filter((tag) => ALLOWED_TAGS.has(tag));
-
-    if (!sanitizedTags.length) {
-      sanitizedTags.push("mirage");
+    const raw = await provider.complete({ messages, signal: controller.signal });
+    const result = await resolvePlan(raw, retry);
+    clearTimeout(timeoutId);
+    if (!result) {
+      res.status(502).json({ error: "La IA devolvio un plan invalido" });
+      return;
     }
 
-    const sanitizedEntities = sanitizeEntities(entities);
-
-    res.status(200).json({
-      summary: summary || "Paisaje sugerido por IA",
-      tags: sanitizedTags,
-      entities: sanitizedEntities,
-    });
+    remember(result);
+    res.setHeader("X-Plan-Parse", result.parse);
+    res.status(200).json(result.plan);
   } catch (error) {
-    if (error.name === "AbortError") {
+    clearTimeout(timeoutId);
+    // Once the stream has started the status is already sent; report in-band
+    if (res.headersSent) {
+      writeEvent(res, {
+        type: "error",
+        error: error.name === "AbortError" ? "Tiempo de espera agotado" : "Fallo al contactar el servicio de IA",
+      });
+      res.end();
+      return;
+    }
+    if (error.status) {
+      console.error(`${provider.name} error:`, error.status);
+      res.status(error.status).json({ error: "Error del proveedor de IA" });
+    } else if (error.name === "AbortError") {
       console.error("Request timeout");
       res.status(504).json({ error: "Tiempo de espera agotado" });
     } else {
@@ -248,105 +256,98 @@ export default async function handler(req, res) {
   }
 }
 
-function cleanModelOutput(text) {
-  if (!text) return "";
-  let cleaned = text.trim();
-  if (cleaned.startsWith("```")) {
-    cleaned = cleaned.replace(/^```[a-zA-Z0-9_-]*\s*/, "");
-    if (cleaned.endsWith("```")) {
-      cleaned = cleaned.slice(0, -3);
-    }
-  }
-  const firstBrace = cleaned.indexOf("{");
-  const lastBrace = cleaned.lastIndexOf("}");
-  if (firstBrace !== -1 && lastBrace !== -1) {
-    cleaned = cleaned.slice(firstBrace, lastBrace + 1);
-  }
-  return cleaned;
+function startStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
 }
 
-function sanitizeEntities(rawEntities) {
-  if (!Array.isArray(rawEntities)) return [];
-  const sanitized = [];
-  rawEntities.forEach((entry) => {
-    if (!entry || typeof entry !== "object") return;
-    const rawType =
-      entry.entity ||
-      entry.type ||
-      entry.kind ||
-      entry.target ||
-      entry.label;
-    const normalizedType = typeof rawType === "string" ? normalizeEntityType(rawType) : "";
-    if (!ENTITY_TYPES.has(normalizedType)) return;
-    const quantity = clampNumber(parseNumber(entry.quantity ?? entry.count ?? 1) || 1, 1, 10);
-    const item = { type: normalizedType, quantity };
-
-    const sizeStr = normalizeSize(entry.size);
-    if (sizeStr) item.size = sizeStr;
-
-    const scalar = parseNumber(entry.scale);
-    if (typeof scalar === "number") {
-      item.scale = clampNumber(scalar, 0.3, 4);
-    }
-
-    const color = sanitizeColor(entry.color ?? entry.tint ?? entry.material ?? entry.hue);
-    if (color) item.color = color;
-
-    const trunk = sanitizeColor(entry.trunkColor ?? entry.barkColor);
-    if (trunk) item.trunkColor = trunk;
-
-    const foliage = sanitizeColor(entry.foliageColor ?? entry.leafColor ?? entry.secondaryColor);
-    if (foliage) item.foliageColor = foliage;
-
-    const spread = parseNumber(entry.spread ?? entry.range);
-    if (typeof spread === "number") item.spread = clampNumber(spread, 0, 400);
-
-    const detail = typeof entry.detail === "string" ? entry.detail.trim() : "";
-    if (detail) item.detail = detail.slice(0, 200);
-
-    ["floors", "height", "width", "depth", "radius", "length", "thickness"].forEach((key) => {
-      const value = parseNumber(entry[key] ?? entry.attributes?.[key]);
-      if (typeof value === "number") {
-        item[key] = clampNumber(value, 0.1, 400);
-      }
+// Forwards entities as the model completes them, then the full plan.
+// Resolves to { plan, parse }, or null when the model output was invalid.
+async function streamPlan(deltas, res, onChunk, retry) {
+  startStream(res);
+  const parser = createEntityStreamParser();
+  const emitted = [];
+  for await (const delta of deltas) {
+    onChunk();
+    parser.push(delta).forEach((raw) => {
+      const entity = normalizeEntity(raw);
+      if (!entity || emitted.length >= PLAN_LIMITS.maxEntities) return;
+      emitted.push(entity);
+      writeEvent(res, { type: "entity", entity });
     });
+  }
 
-    sanitized.push(item);
-  });
-  return sanitized;
+  const result = await resolvePlan(parser.text().trim(), retry);
+  if (!result) {
+    writeEvent(res, { type: "error", error: "La IA devolvio un plan invalido" });
+    res.end();
+    return null;
+  }
+  const { plan } = result;
+  // A retry (or the text fallback) is a new answer, not the rest of the one
+  // that was streamed: send it whole and have the client drop what it placed
+  const replace = result.parse === "retry" || result.parse === "text";
+  if (!replace) {
+    // The streamed entities come first, in the order the client placed them
+    plan.entities = emitted.concat(plan.entities.slice(emitted.length));
+  }
+  writeEvent(res, { type: "plan", plan, parse: result.parse, ...(replace && emitted.length ? { replace: true } : {}) });
+  res.end();
+  return result;
 }
 
-function normalizeSize(value) {
-  if (typeof value !== "string") return "";
-  const lower = value.toLowerCase().trim();
-  if (["tiny", "pequeno", "pequeño", "small", "mini"].includes(lower)) return "small";
-  if (["medium", "mediano", "media"].includes(lower)) return "medium";
-  if (["huge", "gigantic", "large", "enorme", "gran", "grande", "massive"].includes(lower)) return "large";
-  return "";
+// Sends a cached plan with the same events a live stream would produce
+function replayPlan(plan, res) {
+  startStream(res);
+  plan.entities.forEach((entity) => writeEvent(res, { type: "entity", entity }));
+  writeEvent(res, { type: "plan", plan });
+  res.end();
 }
 
-function sanitizeColor(value) {
-  if (typeof value !== "string") return "";
-  const trimmed = value.trim().slice(0, 24);
-  return trimmed || "";
+function writeEvent(res, event) {
+  res.write(`${JSON.stringify(event)}\n`);
 }
 
-function parseNumber(value) {
-  if (typeof value === "number" && Number.isFinite(value)) return value;
-  if (typeof value === "string") {
-    const num = Number(value.trim().replace(/,/g, "."));
-    if (Number.isFinite(num)) return num;
+// Parses the model output, retrying once when nothing usable comes out, and
+// normalizes it. Resolves to { plan, parse } or null when it cannot be made valid.
+async function resolvePlan(raw, retry) {
+  const first = parseModelOutput(raw);
+  if (first.value) {
+    return buildPlan(first.value, first.path);
+  }
+  console.warn("Salida de la IA no es JSON:", first.error);
+  try {
+    const second = parseModelOutput(await retry(raw, first.error));
+    if (second.value) {
+      return buildPlan(second.value, "retry");
+    }
+  } catch (error) {
+    console.warn("Reintento fallido:", error.message);
   }
-  return null;
+  // Last resort: the raw text as the summary of a generic landscape
+  return buildPlan({ summary: raw.slice(0, PLAN_LIMITS.summaryLength) }, "text");
 }
 
-function clampNumber(value, min, max) {
-  if (typeof value !== "number" || Number.isNaN(value)) return min;
-  return Math.max(min, Math.min(max, value));
-}
+// Normalizes a parsed plan; null when it cannot be made valid
+function buildPlan(parsed, parse) {
+  // Report drift between what the model sent and the schema, then coerce
+  const drift = validateSchema(parsed);
+  if (drift.length) {
+    console.warn("Plan fuera de esquema:", drift.slice(0, 5).join("; "));
+  }
+  const plan = normalizePlan(parsed);
+  if (!plan.tags.length && !plan.operations) {
+    plan.tags.push("mirage");
+  }
+  if (!plan.summary) {
+    plan.summary = "Paisaje sugerido por IA";
+  }
 
-function normalizeEntityType(value) {
-  if (typeof value !== "string") return "";
-  const clean = value.toLowerCase().trim();
-  return ENTITY_ALIAS_MAP[clean] || clean;
+  const errors = validateSchema(plan);
+  if (errors.length) {
+    console.error("Plan invalido tras normalizar:", errors.join("; "));
+    return null;
+  }
+  return { plan, parse };
 }
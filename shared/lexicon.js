@@ -0,0 +1,151 @@
+/**
+ * Multilingual word matching for UniversoDu
+ * Folds accents, splits text on word boundaries, tries plural and gender
+ * forms ("piramides" -> piramide, "rojas" -> rojo) and, for longer words,
+ * tolerates typos by edit distance. Used by the plan schema for entity types,
+ * tags and sizes, and by the offline prompt parser.
+ */
+
+/**
+ * Lowercase, strip accents (ñ becomes n) and turn "_" / "-" into spaces
+ */
+export function foldText(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[_-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Folded words and numbers of a text, so "ser" never matches inside "desierto"
+ */
+export function tokenize(text) {
+  return foldText(text).match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Forms to try for an inflected word: the word itself, its singulars
+ * (peces -> pez, cristales -> cristal, wolves -> wolf) and masculine forms
+ */
+export function stemCandidates(word) {
+  const forms = [word];
+  if (word.length > 3) {
+    if (word.endsWith("ces")) forms.push(`${word.slice(0, -3)}z`);
+    if (word.endsWith("ies")) forms.push(`${word.slice(0, -3)}y`);
+    if (word.endsWith("ves")) forms.push(`${word.slice(0, -3)}f`);
+    if (word.endsWith("s")) forms.push(word.slice(0, -1));
+    if (word.endsWith("es")) forms.push(word.slice(0, -2));
+  }
+  forms.slice().forEach((form) => {
+    if (form.length > 3 && form.endsWith("a")) forms.push(`${form.slice(0, -1)}o`);
+  });
+  return Array.from(new Set(forms));
+}
+
+/**
+ * Levenshtein distance, giving up (returning max + 1) once it exceeds max
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a word of this length. Words of five letters or fewer
+// must match exactly: one edit turns too many of them into another real word
+// ("plata" into "planta")
+function typoBudget(length) {
+  if (length >= 8) return 2;
+  return length >= 6 ? 1 : 0;
+}
+
+/**
+ * Build a lexicon from [phrase, value] pairs (or an object). Phrases are
+ * folded; when two share a key the first one wins.
+ *   add(phrase, value, { replace }) -> adds a phrase later; replace lets it win over an earlier one
+ *   lookup(text, { fuzzy }) -> value for a whole word or phrase, or null
+ *   match(tokens, index, { fuzzy }) -> { value, length } for the longest phrase
+ *     starting at tokens[index], or null
+ *   find(text, { fuzzy }) -> value of the first word or phrase in text that matches, or null
+ */
+export function createLexicon(entries) {
+  const table = new Map();
+  let longest = 1;
+
+  function add(phrase, value, { replace = false } = {}) {
+    const key = foldText(phrase);
+    if (!key || (table.has(key) && !replace)) return;
+    table.set(key, value);
+    longest = Math.max(longest, key.split(" ").length);
+  }
+
+  // Exact or inflected match, trying the forms of every word of a phrase
+  // ("agujeros negros" -> agujero negro)
+  function exact(phrase) {
+    let keys = [""];
+    phrase.split(" ").forEach((word) => {
+      const forms = stemCandidates(word);
+      keys = keys.flatMap((head) => forms.map((form) => (head ? `${head} ${form}` : form)));
+    });
+    const key = keys.find((candidate) => table.has(candidate));
+    return key === undefined ? null : table.get(key);
+  }
+
+  function closest(phrase) {
+    const budget = typoBudget(phrase.length);
+    if (!budget) return null;
+    let best = null;
+    let bestDistance = budget + 1;
+    table.forEach((value, key) => {
+      const distance = editDistance(phrase, key, budget);
+      if (distance < bestDistance) {
+        best = value;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  function lookup(text, { fuzzy = true } = {}) {
+    const phrase = foldText(text);
+    if (!phrase) return null;
+    return exact(phrase) ?? (fuzzy ? closest(phrase) : null);
+  }
+
+  function match(tokens, index, { fuzzy = true } = {}) {
+    for (let length = Math.min(longest, tokens.length - index); length >= 1; length -= 1) {
+      const value = exact(tokens.slice(index, index + length).join(" "));
+      if (value !== null) return { value, length };
+    }
+    const value = fuzzy ? closest(tokens[index]) : null;
+    return value === null ? null : { value, length: 1 };
+  }
+
+  function find(text, { fuzzy = true } = {}) {
+    const tokens = tokenize(text);
+    for (const pass of fuzzy ? [false, true] : [false]) {
+      for (let i = 0; i < tokens.length; i += 1) {
+        const found = match(tokens, i, { fuzzy: pass });
+        if (found) return found.value;
+      }
+    }
+    return null;
+  }
+
+  (Array.isArray(entries) ? entries : Object.entries(entries)).forEach(([phrase, value]) => add(phrase, value));
+  return { add, lookup, match, find };
+}
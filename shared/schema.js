@@ -0,0 +1,743 @@
+/**
+ * Prompt plan schema for UniversoDu
+ * Single source for tags, entity types, aliases, fields and ranges. Used by the
+ * Vercel function, the Vite dev server and the client.
+ */
+
+import { createLexicon } from "./lexicon.js";
+
+// Bump whenever the plan format changes, so cached plans from older
+// versions are not served to clients expecting the new one
+export const SCHEMA_VERSION = 1;
+
+// Tags allowed for landscape generation
+export const TAG_NAMES = [
+  "cacti",
+  "rocks",
+  "oasis",
+  "ruins",
+  "crystals",
+  "mirage",
+  "fireflies",
+  "totems",
+  "structures",
+  "flora",
+  "portals",
+  "storm",
+  "sentinels",
+  "creatures",
+  "nomads",
+];
+
+// Spanish and English words for tags. Matched through the lexicon, so plurals,
+// accents and small typos resolve too.
+const TAG_ALIASES = {
+  cactus: "cacti", cacto: "cacti", cactacea: "cacti",
+  roca: "rocks", piedra: "rocks", meteoro: "rocks", rock: "rocks", stone: "rocks",
+  ruina: "ruins", templo: "ruins", ruin: "ruins", temple: "ruins",
+  cristal: "crystals", crystal: "crystals",
+  espejismo: "mirage", bruma: "mirage", vision: "mirage",
+  luciernaga: "fireflies", fuego: "fireflies", estrella: "fireflies", firefly: "fireflies",
+  totem: "totems", escultura: "totems",
+  estructura: "structures", torre: "structures", ciudad: "structures", edificio: "structures",
+  structure: "structures", tower: "structures", building: "structures", city: "structures",
+  vegetacion: "flora", planta: "flora", plant: "flora",
+  portal: "portals",
+  tormenta: "storm", viento: "storm", wind: "storm",
+  centinela: "sentinels", guardian: "sentinels", sentinel: "sentinels",
+  criatura: "creatures", ser: "creatures", creature: "creatures", being: "creatures",
+  nomada: "nomads", caravana: "nomads", nomad: "nomads", caravan: "nomads",
+};
+
+// Built-in entity types. name is the canonical type; label is shown to players;
+// tag is the landscape tag the type belongs to, so its words also resolve to
+// that tag; aliases are alternative English names and keywords the Spanish
+// words players type (plurals, gender and accents are handled by the lexicon);
+// params are the optional ENTITY_FIELDS the spawner reads beyond size, scale
+// and color; factory names the client spawner that builds it (a key of
+// ENTITY_FACTORIES in src/spawners.js), the type name itself when omitted.
+const BUILTIN_ENTITY_TYPES = [
+  // Built and inhabited
+  { name: "structure", label: "Estructura", tag: "structures", aliases: ["building", "buildings"], keywords: ["estructura", "edificio", "ciudad"] },
+  { name: "tower", label: "Torre", tag: "structures", keywords: ["torre"], factory: "structure" },
+  { name: "bridge", label: "Puente", tag: "structures", keywords: ["puente"], params: ["length", "width"] },
+  { name: "monolith", label: "Monolito", tag: "structures", keywords: ["monolito"], params: ["height"] },
+  { name: "pillar", label: "Pilar", tag: "structures", keywords: ["pilar", "columna"], params: ["height"], factory: "monolith" },
+  { name: "arch", label: "Arco", tag: "structures", keywords: ["arco"], factory: "ruins" },
+  { name: "ruins", label: "Ruinas", tag: "ruins", aliases: ["temples"], keywords: ["ruina"] },
+  { name: "temple", label: "Templo", tag: "ruins", keywords: ["templo"] },
+  { name: "pyramid", label: "Piramide", tag: "ruins", keywords: ["pirámide"] },
+  { name: "statue", label: "Estatua", tag: "ruins", keywords: ["estatua"] },
+  { name: "totem", label: "Totem", tag: "totems", keywords: ["tótem"] },
+  { name: "cave", label: "Cueva", tag: "ruins", keywords: ["cueva"], factory: "ruins" },
+  { name: "crater", label: "Crater", tag: "ruins", keywords: ["cráter"], factory: "ruins" },
+  { name: "well", label: "Pozo", tag: "oasis", keywords: ["pozo"], factory: "oasis" },
+  { name: "tent", label: "Tienda", tag: "nomads", aliases: ["camp"], keywords: ["campamento", "tienda", "carpa"] },
+  { name: "campfire", label: "Fogata", tag: "nomads", aliases: ["fire"], keywords: ["fogata", "fuego", "hoguera"] },
+  { name: "wagon", label: "Carreta", tag: "nomads", keywords: ["caravana", "carreta"], factory: "nomads" },
+  { name: "nomad", label: "Nomada", tag: "nomads", aliases: ["caravans"], keywords: ["nómada"], factory: "nomads" },
+  // Landforms and minerals
+  { name: "mountain", label: "Montana", tag: "rocks", keywords: ["montaña"] },
+  { name: "cliff", label: "Acantilado", tag: "rocks", keywords: ["acantilado"], factory: "mountain" },
+  { name: "mesa", label: "Meseta", tag: "rocks", factory: "mountain" },
+  { name: "canyon", label: "Canon", tag: "rocks", keywords: ["cañón"], factory: "mountain" },
+  { name: "ravine", label: "Barranco", tag: "rocks", keywords: ["barranco"], factory: "mountain" },
+  { name: "dune", label: "Duna", keywords: ["duna"], params: ["height", "width"] },
+  { name: "sand_ripple", label: "Ondas de arena", params: ["height", "width"], factory: "dune" },
+  { name: "rock", label: "Roca", tag: "rocks", aliases: ["stones", "stone"], keywords: ["roca", "piedra"] },
+  { name: "boulder", label: "Pena", tag: "rocks", keywords: ["peña"], factory: "rock" },
+  { name: "pebbles", label: "Guijarros", tag: "rocks", factory: "rock" },
+  { name: "log", label: "Tronco", tag: "rocks", keywords: ["tronco"], factory: "rock" },
+  { name: "crystal", label: "Cristal", tag: "crystals", keywords: ["cristal"] },
+  { name: "gem", label: "Gema", tag: "crystals", keywords: ["gema"], factory: "crystal" },
+  // Water
+  { name: "oasis", label: "Oasis", tag: "oasis" },
+  { name: "water", label: "Agua", tag: "oasis", keywords: ["agua"], params: ["radius", "width"] },
+  { name: "pond", label: "Estanque", tag: "oasis", keywords: ["laguna", "estanque"], params: ["radius", "width"], factory: "water" },
+  { name: "stream", label: "Arroyo", tag: "oasis", keywords: ["arroyo"], params: ["radius", "width"], factory: "water" },
+  { name: "waterfall", label: "Cascada", tag: "oasis", keywords: ["cascada"] },
+  { name: "geyser", label: "Geiser", keywords: ["géiser"] },
+  { name: "hot_spring", label: "Aguas termales", tag: "oasis", keywords: ["aguas termales"], factory: "geyser" },
+  { name: "smoke", label: "Humo", keywords: ["humo"], factory: "geyser" },
+  { name: "river_detailed", label: "Rio", tag: "oasis", aliases: ["river", "rivers"], keywords: ["río"], factory: "river" },
+  { name: "lake_detailed", label: "Lago", tag: "oasis", aliases: ["lake", "lakes"], keywords: ["lago"], factory: "lake" },
+  { name: "sea", label: "Mar", tag: "oasis", aliases: ["ocean", "oceans"], keywords: ["mar", "océano"] },
+  // Plants
+  { name: "tree", label: "Arbol", tag: "flora", aliases: ["forest"], keywords: ["árbol", "bosque"] },
+  { name: "palm", label: "Palmera", tag: "flora", keywords: ["palmera", "palma"], factory: "tree" },
+  { name: "dead_tree", label: "Arbol muerto", tag: "flora", keywords: ["árbol muerto"], factory: "tree" },
+  { name: "flora", label: "Flora", tag: "flora", aliases: ["florae", "plants"], keywords: ["planta"] },
+  { name: "bush", label: "Arbusto", tag: "flora", keywords: ["arbusto"], factory: "flora" },
+  { name: "flower", label: "Flor", tag: "flora", keywords: ["flor"], factory: "flora" },
+  { name: "mushroom", label: "Hongo", tag: "flora", keywords: ["hongo", "seta"], factory: "flora" },
+  { name: "grass", label: "Hierba", tag: "flora", keywords: ["hierba", "pasto"], factory: "flora" },
+  { name: "vine", label: "Enredadera", tag: "flora", keywords: ["enredadera"], factory: "flora" },
+  { name: "cacti", label: "Cactus", tag: "cacti", aliases: ["cactus", "cactuses"], keywords: ["cacto"] },
+  // Beings
+  { name: "creature", label: "Criatura", tag: "creatures", aliases: ["monster"], keywords: ["criatura", "monstruo"] },
+  { name: "sentinel", label: "Centinela", tag: "sentinels", aliases: ["guardians"], keywords: ["centinela", "guardián"] },
+  { name: "human", label: "Persona", tag: "nomads", aliases: ["person", "figure", "man", "woman", "people"], keywords: ["persona", "humano", "gente"] },
+  { name: "bird", label: "Ave", tag: "creatures", aliases: ["eagle", "hawk"], keywords: ["pájaro", "ave", "águila"] },
+  { name: "fish", label: "Pez", tag: "creatures", keywords: ["pez"] },
+  { name: "deer", label: "Ciervo", tag: "creatures", aliases: ["animal", "animals"], keywords: ["ciervo", "venado"] },
+  { name: "wolf", label: "Lobo", tag: "creatures", aliases: ["wolves", "dog", "dogs"], keywords: ["lobo"] },
+  { name: "horse", label: "Caballo", tag: "creatures", keywords: ["caballo"], params: ["height"] },
+  { name: "fireflies", label: "Luciernagas", tag: "fireflies", aliases: ["firefly"], keywords: ["luciérnaga"] },
+  // Sky and magic
+  { name: "portal", label: "Portal", tag: "portals", aliases: ["gateways", "gate"] },
+  { name: "wormhole", label: "Agujero de gusano", tag: "portals", keywords: ["agujero de gusano"], factory: "portal" },
+  { name: "black_hole", label: "Agujero negro", tag: "portals", keywords: ["agujero negro"], factory: "portal" },
+  { name: "mirage", label: "Espejismo", tag: "mirage", aliases: ["visions"], keywords: ["espejismo"] },
+  { name: "moon", label: "Luna", tag: "mirage", keywords: ["luna"], factory: "mirage" },
+  { name: "sun_disk", label: "Disco solar", tag: "mirage", aliases: ["sun"], keywords: ["sol"], factory: "mirage" },
+  { name: "aurora", label: "Aurora", keywords: ["aurora boreal"] },
+  { name: "rainbow", label: "Arcoiris", keywords: ["arcoíris"], factory: "aurora" },
+  { name: "comet", label: "Cometa", keywords: ["cometa"] },
+  { name: "meteor", label: "Meteoro", keywords: ["meteoro"], factory: "comet" },
+  { name: "nebula", label: "Nebulosa", keywords: ["nebulosa"] },
+  { name: "star_field", label: "Campo de estrellas", aliases: ["stars"], keywords: ["estrella"], factory: "nebula" },
+  { name: "storm", label: "Tormenta", tag: "storm", aliases: ["sandstorm", "sand storm"], keywords: ["tormenta"] },
+  { name: "lightning", label: "Rayo", tag: "storm", keywords: ["rayo"], factory: "storm" },
+  { name: "dust_devil", label: "Remolino", tag: "storm", keywords: ["remolino"], factory: "storm" },
+  // Remains
+  { name: "skull", label: "Calavera", keywords: ["calavera", "cráneo"] },
+  { name: "bones", label: "Huesos", keywords: ["hueso"], factory: "skull" },
+  { name: "fossil", label: "Fosil", keywords: ["fósil"], factory: "skull" },
+];
+
+// Derived from the registry; defineEntityType() keeps them up to date
+export const ENTITY_TYPE_NAMES = [];
+export const ENTITY_TYPE_ALIASES = {};
+
+// Canonical sizes and the words that map onto them
+export const SIZE_NAMES = ["tiny", "small", "medium", "large", "huge", "gigantic"];
+
+const SIZE_ALIASES = {
+  mini: "tiny",
+  diminuto: "tiny",
+  "pequeño": "small",
+  mediano: "medium",
+  media: "medium",
+  grande: "large",
+  gran: "large",
+  enorme: "huge",
+  massive: "huge",
+  gigante: "gigantic",
+  colossal: "gigantic",
+  big: "large",
+  little: "small",
+  giant: "gigantic",
+  chico: "small",
+  "minúsculo": "tiny",
+  inmenso: "huge",
+  gigantesco: "gigantic",
+  colosal: "gigantic",
+};
+
+// World weather presets a plan may request (see WEATHER_PRESETS on the client)
+export const WEATHER_NAMES = ["despejado", "tormenta_arena", "lluvia", "tormenta_electrica"];
+
+// Compass bearings in degrees (0 = north, 90 = east)
+const BEARING_WORDS = {
+  n: 0, north: 0, norte: 0,
+  ne: 45, northeast: 45, noreste: 45, nordeste: 45,
+  e: 90, east: 90, este: 90,
+  se: 135, southeast: 135, sureste: 135, sudeste: 135,
+  s: 180, south: 180, sur: 180,
+  sw: 225, southwest: 225, suroeste: 225, sudoeste: 225,
+  w: 270, west: 270, oeste: 270,
+  nw: 315, northwest: 315, noroeste: 315,
+};
+
+// Absolute coordinates are accepted within this many meters of the world origin
+const MAX_COORDINATE = 5000;
+const PLACEMENT_DISTANCE = { kind: "number", min: 0, max: 400 };
+const PLACEMENT_COORDINATE = { kind: "number", min: -MAX_COORDINATE, max: MAX_COORDINATE };
+
+export const PLAN_LIMITS = {
+  maxTags: 4,
+  maxEntities: 12,
+  maxOperations: 16,
+  maxTargets: 40,
+  maxSceneObjects: 120,
+  summaryLength: 200,
+  promptLength: 500,
+};
+
+// Edits a plan can make to objects already in the scene ("add" entries become entities)
+export const OPERATION_NAMES = ["remove", "recolor", "scale", "move"];
+
+const OPERATION_ALIASES = {
+  add: "add",
+  agregar: "add",
+  anadir: "add",
+  "añadir": "add",
+  create: "add",
+  crear: "add",
+  delete: "remove",
+  eliminar: "remove",
+  borrar: "remove",
+  quitar: "remove",
+  color: "recolor",
+  paint: "recolor",
+  pintar: "recolor",
+  colorear: "recolor",
+  resize: "scale",
+  escalar: "scale",
+  translate: "move",
+  relocate: "move",
+  mover: "move",
+};
+
+const SCALE_FACTOR = { kind: "number", min: 0.2, max: 5 };
+
+// Optional entity fields. kind: "number" (clamped to min/max), "integer",
+// "color" / "text" (trimmed to maxLength) or "enum" (values)
+export const ENTITY_FIELDS = {
+  quantity: { kind: "integer", min: 1, max: 8, default: 1, description: "cuantas copias" },
+  size: { kind: "enum", values: SIZE_NAMES, description: "tamano relativo" },
+  scale: { kind: "number", min: 0.3, max: 4, description: "escala explicita" },
+  color: { kind: "color", maxLength: 32, description: "hex o nombre CSS" },
+  trunkColor: { kind: "color", maxLength: 32, description: "color del tronco" },
+  foliageColor: { kind: "color", maxLength: 32, description: "color del follaje" },
+  floors: { kind: "integer", min: 1, max: 40, description: "pisos de una estructura" },
+  height: { kind: "number", min: 0.1, max: 400, description: "alto en metros" },
+  width: { kind: "number", min: 0.1, max: 400, description: "ancho en metros" },
+  depth: { kind: "number", min: 0.1, max: 400, description: "profundidad en metros" },
+  radius: { kind: "number", min: 0.1, max: 400, description: "radio en metros" },
+  length: { kind: "number", min: 0.1, max: 400, description: "largo en metros" },
+  thickness: { kind: "number", min: 0.1, max: 400, description: "grosor en metros" },
+  spread: { kind: "number", min: 0, max: 400, description: "dispersion alrededor del jugador" },
+  variant: { kind: "text", maxLength: 40, description: "variante libre, ej. arena para storm" },
+  weather: { kind: "enum", values: WEATHER_NAMES, description: "clima que trae una tormenta" },
+  detail: { kind: "text", maxLength: 160, description: "detalle libre" },
+  id: { kind: "key", maxLength: 24, description: "nombre corto para que otras entidades se ubiquen respecto a esta" },
+  placement: { kind: "placement", description: "ubicacion opcional, ver abajo" },
+};
+
+// Alternative keys models tend to use for the same field
+const FIELD_SOURCES = {
+  quantity: ["quantity", "count"],
+  color: ["color", "tint", "material", "hue"],
+  trunkColor: ["trunkColor", "barkColor"],
+  foliageColor: ["foliageColor", "leafColor", "secondaryColor"],
+  spread: ["spread", "range"],
+  placement: ["placement", "position", "location"],
+};
+
+export const ALLOWED_TAGS = new Set(TAG_NAMES);
+export const ENTITY_TYPES = new Set();
+
+export const ENTITY_LEXICON = createLexicon([]);
+const TAG_LEXICON = createLexicon(TAG_NAMES.map((name) => [name, name]).concat(Object.entries(TAG_ALIASES)));
+export const SIZE_LEXICON = createLexicon(SIZE_NAMES.map((name) => [name, name]).concat(Object.entries(SIZE_ALIASES)));
+
+const ENTITY_TYPE_INFO = new Map();
+
+/**
+ * Add an entity type to the schema, or give an existing one more aliases and
+ * keywords. Plan normalization, the lexicon and the AI system prompt use it
+ * right away; the client also needs a factory, so client code should call
+ * registerEntityType() in src/spawners.js instead.
+ */
+export function defineEntityType({ name, label, tag, aliases = [], keywords = [], params = [], factory }) {
+  const type = typeof name === "string" ? name.toLowerCase().trim() : "";
+  if (!/^[a-z][a-z0-9_]*$/.test(type)) {
+    throw new Error(`Tipo de entidad invalido: ${name}`);
+  }
+  if (tag !== undefined && !ALLOWED_TAGS.has(tag)) {
+    throw new Error(`Tag desconocido para ${type}: ${tag}`);
+  }
+  const unknown = params.filter((key) => !(key in ENTITY_FIELDS));
+  if (unknown.length) {
+    throw new Error(`Parametros desconocidos para ${type}: ${unknown.join(", ")}`);
+  }
+
+  const previous = ENTITY_TYPE_INFO.get(type);
+  const merge = (list, more) => Array.from(new Set([...(list || []), ...more]));
+  const info = {
+    name: type,
+    label: label || previous?.label || type.replace(/_/g, " "),
+    tag: tag ?? previous?.tag,
+    aliases: merge(previous?.aliases, aliases),
+    keywords: merge(previous?.keywords, keywords),
+    params: merge(previous?.params, params),
+    factory: factory || previous?.factory || type,
+  };
+  ENTITY_TYPE_INFO.set(type, info);
+  if (!previous) {
+    ENTITY_TYPE_NAMES.push(type);
+    ENTITY_TYPES.add(type);
+  }
+
+  // A canonical name wins over an older alias spelled the same way
+  ENTITY_LEXICON.add(type, type, { replace: true });
+  [...aliases, ...keywords].forEach((word) => {
+    if (!(word in ENTITY_TYPE_ALIASES)) ENTITY_TYPE_ALIASES[word] = type;
+    ENTITY_LEXICON.add(word, type);
+  });
+  if (info.tag) {
+    [type, ...info.aliases, ...info.keywords].forEach((word) => TAG_LEXICON.add(word, info.tag));
+  }
+  return info;
+}
+
+/**
+ * Registry entry for a canonical type ({ name, label, tag, aliases, keywords, params, factory }), or null
+ */
+export function entityTypeInfo(type) {
+  return ENTITY_TYPE_INFO.get(type) || null;
+}
+
+/**
+ * Player-facing name of an entity type
+ */
+export function entityLabel(type) {
+  return ENTITY_TYPE_INFO.get(type)?.label || String(type || "").replace(/_/g, " ");
+}
+
+BUILTIN_ENTITY_TYPES.forEach(defineEntityType);
+
+/**
+ * Resolve an entity type or alias, in English or Spanish, to its canonical type ("" when unknown)
+ */
+export function normalizeEntityType(value) {
+  if (typeof value !== "string") return "";
+  return ENTITY_LEXICON.lookup(value) || "";
+}
+
+/**
+ * Resolve a tag, or a phrase mentioning one ("criaturas de cristal"), to a canonical tag ("" when unknown)
+ */
+export function normalizeTag(value) {
+  if (typeof value !== "string") return "";
+  return TAG_LEXICON.lookup(value) || TAG_LEXICON.find(value) || "";
+}
+
+/**
+ * Resolve a size word (English or Spanish) to a canonical size ("" when unknown)
+ */
+export function normalizeSize(value) {
+  if (typeof value !== "string") return "";
+  return SIZE_LEXICON.lookup(value) || "";
+}
+
+/**
+ * Resolve a bearing (degrees or a compass word in English/Spanish) to degrees in [0, 360), or null
+ */
+export function normalizeBearing(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return ((value % 360) + 360) % 360;
+  if (typeof value !== "string") return null;
+  const word = value.toLowerCase().trim().replace(/[\s_-]+/g, "").replace(/^(al|hacia)/, "");
+  if (word in BEARING_WORDS) return BEARING_WORDS[word];
+  const degrees = Number(word.replace(/(deg|°)$/, ""));
+  return Number.isFinite(degrees) ? normalizeBearing(degrees) : null;
+}
+
+/**
+ * Coerce a placement hint. Exactly one relation is kept, in this order:
+ * { between: [a, b] }, { near: id, bearing?, distance? } (bearing from the target),
+ * { around: id, distance? }, { x, z } absolute coordinates, or { bearing, distance }
+ * from the player.
+ */
+export function normalizePlacement(raw) {
+  if (typeof raw === "string") {
+    const bearing = normalizeBearing(raw);
+    return bearing === null ? undefined : { bearing };
+  }
+  if (!raw || typeof raw !== "object") return undefined;
+  const key = (value) => coerceField(ENTITY_FIELDS.id, value, "id");
+  const distance = coerceField(PLACEMENT_DISTANCE, raw.distance ?? raw.radius, "distance");
+  const bearing = normalizeBearing(raw.bearing ?? raw.direction);
+  const withDistance = (placement) => (distance === undefined ? placement : { ...placement, distance });
+
+  if (Array.isArray(raw.between)) {
+    const targets = raw.between.map(key).filter(Boolean);
+    if (targets.length >= 2) return { between: targets.slice(0, 2) };
+  }
+  const near = key(raw.near);
+  if (near) return withDistance(bearing === null ? { near } : { near, bearing });
+  const around = key(raw.around);
+  if (around) return withDistance({ around });
+  const x = coerceField(PLACEMENT_COORDINATE, raw.x, "x");
+  const z = coerceField(PLACEMENT_COORDINATE, raw.z, "z");
+  if (x !== undefined && z !== undefined) return { x, z };
+  if (bearing !== null) return withDistance({ bearing });
+  return undefined;
+}
+
+/**
+ * Coerce one raw entity (from a model or a user) into a valid spec, or null
+ */
+export function normalizeEntity(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const type = normalizeEntityType(raw.type ?? raw.entity ?? raw.kind ?? raw.target ?? raw.label);
+  if (!type) return null;
+  const entity = { type };
+  Object.entries(ENTITY_FIELDS).forEach(([key, field]) => {
+    const sources = FIELD_SOURCES[key] || [key];
+    const rawValue = sources.map((source) => raw[source] ?? raw.attributes?.[source]).find((value) => value != null);
+    const value = coerceField(field, rawValue, key);
+    if (value !== undefined) {
+      entity[key] = value;
+    } else if (field.default !== undefined) {
+      entity[key] = field.default;
+    }
+  });
+  return entity;
+}
+
+/**
+ * Coerce one raw operation into { op, targets, color | factor | placement }, or
+ * { op: "add", entity } for additions; null when it cannot be executed
+ */
+export function normalizeOperation(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const name = String(raw.op ?? raw.action ?? raw.operation ?? "").toLowerCase().trim();
+  const op = OPERATION_NAMES.includes(name) ? name : OPERATION_ALIASES[name];
+  if (op === "add") {
+    const entity = normalizeEntity(raw.entity && typeof raw.entity === "object" ? raw.entity : raw);
+    return entity ? { op, entity } : null;
+  }
+  if (!op) return null;
+
+  const rawTargets = [raw.targets, raw.target, raw.ids, raw.id].find((value) => value != null);
+  const targets = Array.from(
+    new Set(
+      (Array.isArray(rawTargets) ? rawTargets : [rawTargets])
+        .map((value) => coerceField(ENTITY_FIELDS.id, typeof value === "number" ? String(value) : value, "id"))
+        .filter(Boolean)
+    )
+  ).slice(0, PLAN_LIMITS.maxTargets);
+  if (!targets.length) return null;
+
+  switch (op) {
+    case "recolor": {
+      const color = coerceField(ENTITY_FIELDS.color, raw.color ?? raw.tint, "color");
+      return color ? { op, targets, color } : null;
+    }
+    case "scale": {
+      const factor = coerceField(SCALE_FACTOR, raw.factor ?? raw.scale ?? raw.by, "factor");
+      return factor === undefined ? null : { op, targets, factor };
+    }
+    case "move": {
+      const placement = normalizePlacement(raw.placement ?? raw.to ?? raw.position);
+      return placement ? { op, targets, placement } : null;
+    }
+    default:
+      return { op, targets };
+  }
+}
+
+/**
+ * Coerce a scene description sent by the client ({ player: [x, z], objects: [{ id, type, x, z, color?, scale? }] })
+ */
+export function normalizeScene(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const round = (value) => Math.round(Number(value));
+  const objects = (Array.isArray(raw.objects) ? raw.objects : [])
+    .slice(-PLAN_LIMITS.maxSceneObjects)
+    .map((entry) => {
+      if (!entry || typeof entry !== "object") return null;
+      const id = coerceField(ENTITY_FIELDS.id, entry.id, "id");
+      const type = coerceField(ENTITY_FIELDS.id, entry.type, "type");
+      const x = round(entry.x);
+      const z = round(entry.z);
+      if (!id || !type || !Number.isFinite(x) || !Number.isFinite(z)) return null;
+      const object = { id, type, x, z };
+      const color = coerceField(ENTITY_FIELDS.color, entry.color, "color");
+      if (color) object.color = color;
+      const scale = coerceField(ENTITY_FIELDS.scale, entry.scale, "scale");
+      if (scale !== undefined && scale !== 1) object.scale = scale;
+      return object;
+    })
+    .filter(Boolean);
+  const player = Array.isArray(raw.player) ? raw.player.slice(0, 2).map(round) : [];
+  return {
+    ...(player.length === 2 && player.every(Number.isFinite) ? { player } : {}),
+    objects,
+  };
+}
+
+/**
+ * Coerce a raw plan ({ summary, tags, entities, operations, weather }) into a valid plan
+ */
+export function normalizePlan(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const rawTags = Array.isArray(source.tags)
+    ? source.tags
+    : typeof source.tags === "string"
+      ? source.tags.split(/[,\n]/)
+      : [];
+  const tags = Array.from(
+    new Set(
+      rawTags
+        .map((tag) => normalizeTag(String(tag ?? "")))
+        .filter(Boolean)
+    )
+  ).slice(0, PLAN_LIMITS.maxTags);
+  const operations = (Array.isArray(source.operations) ? source.operations : [])
+    .map(normalizeOperation)
+    .filter(Boolean);
+  const entities = (Array.isArray(source.entities) ? source.entities : [])
+    .map(normalizeEntity)
+    .concat(operations.filter(({ op }) => op === "add").map(({ entity }) => entity))
+    .filter(Boolean)
+    .slice(0, PLAN_LIMITS.maxEntities);
+  const plan = {
+    summary: typeof source.summary === "string" ? source.summary.trim().slice(0, PLAN_LIMITS.summaryLength) : "",
+    tags,
+    entities,
+  };
+  const edits = operations.filter(({ op }) => op !== "add").slice(0, PLAN_LIMITS.maxOperations);
+  if (edits.length) plan.operations = edits;
+  const weather = coerceField(ENTITY_FIELDS.weather, source.weather, "weather");
+  if (weather) plan.weather = weather;
+  return plan;
+}
+
+function coerceField(field, value, key) {
+  if (value === undefined || value === null || value === "") return undefined;
+  switch (field.kind) {
+    case "number":
+    case "integer": {
+      const num = typeof value === "number" ? value : Number(String(value).trim().replace(/,/g, "."));
+      if (!Number.isFinite(num)) return undefined;
+      const clamped = Math.max(field.min, Math.min(field.max, num));
+      return field.kind === "integer" ? Math.round(clamped) : clamped;
+    }
+    case "enum": {
+      if (typeof value !== "string") return undefined;
+      const lower = key === "size" ? normalizeSize(value) : value.toLowerCase().trim().replace(/\s+/g, "_");
+      return field.values.includes(lower) ? lower : undefined;
+    }
+    case "key": {
+      if (typeof value !== "string") return undefined;
+      const slug = value.toLowerCase().trim().replace(/\s+/g, "_").slice(0, field.maxLength);
+      return slug || undefined;
+    }
+    case "placement":
+      return normalizePlacement(value);
+    case "color":
+    case "text": {
+      if (typeof value !== "string") return undefined;
+      const trimmed = value.trim().slice(0, field.maxLength);
+      return trimmed || undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function fieldJsonSchema(field) {
+  switch (field.kind) {
+    case "number":
+      return { type: "number", minimum: field.min, maximum: field.max };
+    case "integer":
+      return { type: "integer", minimum: field.min, maximum: field.max };
+    case "enum":
+      return { type: "string", enum: field.values };
+    case "placement":
+      return PLACEMENT_JSON_SCHEMA;
+    default:
+      return { type: "string", maxLength: field.maxLength };
+  }
+}
+
+const PLACEMENT_JSON_SCHEMA = {
+  type: "object",
+  properties: {
+    between: { type: "array", maxItems: 2, items: { type: "string", maxLength: 24 } },
+    near: { type: "string", maxLength: 24 },
+    around: { type: "string", maxLength: 24 },
+    x: { type: "number", minimum: -MAX_COORDINATE, maximum: MAX_COORDINATE },
+    z: { type: "number", minimum: -MAX_COORDINATE, maximum: MAX_COORDINATE },
+    bearing: { type: "number", minimum: 0, maximum: 360 },
+    distance: { type: "number", minimum: 0, maximum: 400 },
+  },
+  additionalProperties: false,
+};
+
+// JSON Schema (draft 2020-12) of a normalized plan
+export const PLAN_JSON_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "UniversoDu prompt plan",
+  type: "object",
+  required: ["summary", "tags", "entities"],
+  properties: {
+    summary: { type: "string", maxLength: PLAN_LIMITS.summaryLength },
+    tags: {
+      type: "array",
+      maxItems: PLAN_LIMITS.maxTags,
+      items: { type: "string", enum: TAG_NAMES },
+    },
+    entities: {
+      type: "array",
+      maxItems: PLAN_LIMITS.maxEntities,
+      items: {
+        type: "object",
+        required: ["type", "quantity"],
+        properties: {
+          type: { type: "string", enum: ENTITY_TYPE_NAMES },
+          ...Object.fromEntries(Object.entries(ENTITY_FIELDS).map(([key, field]) => [key, fieldJsonSchema(field)])),
+        },
+        additionalProperties: false,
+      },
+    },
+    operations: {
+      type: "array",
+      maxItems: PLAN_LIMITS.maxOperations,
+      items: {
+        type: "object",
+        required: ["op", "targets"],
+        properties: {
+          op: { type: "string", enum: OPERATION_NAMES },
+          targets: {
+            type: "array",
+            maxItems: PLAN_LIMITS.maxTargets,
+            items: { type: "string", maxLength: ENTITY_FIELDS.id.maxLength },
+          },
+          color: fieldJsonSchema(ENTITY_FIELDS.color),
+          factor: { type: "number", minimum: SCALE_FACTOR.min, maximum: SCALE_FACTOR.max },
+          placement: PLACEMENT_JSON_SCHEMA,
+        },
+        additionalProperties: false,
+      },
+    },
+    weather: { type: "string", enum: WEATHER_NAMES },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Validate a value against a JSON Schema subset (type, enum, minimum, maximum,
+ * maxLength, maxItems, required, properties, items, additionalProperties).
+ * Returns a list of "path: problem" strings; empty when valid.
+ */
+export function validateSchema(value, schema = PLAN_JSON_SCHEMA, path = "plan") {
+  const errors = [];
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path}: se esperaba ${schema.type}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: valor no permitido (${JSON.stringify(value)})`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: menor que ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: mayor que ${schema.maximum}`);
+  }
+  if (typeof value === "string" && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${path}: mas de ${schema.maxLength} caracteres`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: mas de ${schema.maxItems} elementos`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  } else if (value && typeof value === "object") {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key}: requerido`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateSchema(child, childSchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: campo no permitido`);
+      }
+    });
+  }
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * System prompt for the model, generated from the schema so the advertised
+ * types and ranges always match what the client accepts
+ */
+export function buildSystemPrompt() {
+  const fields = Object.entries(ENTITY_FIELDS)
+    .map(([key, field]) => {
+      if (field.kind === "enum") return `${key} (${field.values.join("/")})`;
+      if (field.kind === "number" || field.kind === "integer") return `${key} (${field.min}-${field.max}, ${field.description})`;
+      return `${key} (${field.description})`;
+    })
+    .join(", ");
+  const typeParams = ENTITY_TYPE_NAMES
+    .map((name) => ENTITY_TYPE_INFO.get(name))
+    .filter((info) => info.params.length)
+    .map((info) => `${info.name} (${info.params.join(", ")})`)
+    .join(", ");
+  return [
+    "Eres el motor creativo de UniversoDu, un desierto inmersivo generado en Three.js.",
+    "Recibiras descripciones breves y debes responder SOLO JSON valido, sin texto extra.",
+    `Campos: summary (frase corta en espanol), tags (0-${PLAN_LIMITS.maxTags} valores de: ${TAG_NAMES.join(", ")}), entities (array de hasta ${PLAN_LIMITS.maxEntities} objetos) y weather opcional (${WEATHER_NAMES.join(", ")}).`,
+    `Cada entidad necesita type, uno de: ${ENTITY_TYPE_NAMES.join(", ")}.`,
+    `Campos opcionales de cada entidad: ${fields}.`,
+    ...(typeParams ? [`Tipos con parametros propios: ${typeParams}.`] : []),
+    "placement ubica la entidad: {\"bearing\":\"norte\",\"distance\":120} desde el jugador (norte, noreste, este... o grados), {\"x\":0,\"z\":-50} en coordenadas absolutas, o relativo a otra entidad del mismo plan por su id o su type: {\"near\":\"lago\"} (con bearing opcional desde ese objetivo), {\"around\":\"templo\",\"distance\":20}, {\"between\":[\"templo\",\"lago\"]}.",
+    "El mensaje del usuario puede incluir la escena actual (objetos con id, type, x, z, color y scale). Para editarla usa operations (array opcional):",
+    `{"op":"remove","targets":[...]}, {"op":"recolor","targets":[...],"color":"#c0392b"}, {"op":"scale","targets":[...],"factor":${SCALE_FACTOR.min}-${SCALE_FACTOR.max}}, {"op":"move","targets":[...],"placement":{...}}.`,
+    "targets acepta ids de la escena o un type para afectar a todos los de ese tipo. Usa entities solo para agregar cosas nuevas; si el usuario solo pide cambios, deja entities y tags vacios.",
+    "Si piden algo que no existe, usa el tipo disponible mas cercano. Para personas usa human; para grandes cuerpos de agua usa sea.",
+    'Ejemplo: {"summary":"Templo al norte del lago","tags":["oasis"],"entities":[{"type":"lake_detailed","id":"lago","placement":{"bearing":"norte","distance":90}},{"type":"temple","placement":{"near":"lago","bearing":"norte","distance":40}},{"type":"palm","quantity":4,"placement":{"around":"lago"}}]}',
+    'Ejemplo de edicion ("pinta de rojo las piramides y quita los lobos"): {"summary":"Piramides rojas, sin lobos","tags":[],"entities":[],"operations":[{"op":"recolor","targets":["pyramid"],"color":"#c0392b"},{"op":"remove","targets":["wolf"]}]}',
+  ].join("\n");
+}
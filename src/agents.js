@@ -0,0 +1,369 @@
+/**
+ * Animal agents for UniversoDu
+ * Birds, fish, deer, horses, wolves and humans steer themselves every frame
+ * with Reynolds-style steering: birds flock (separation, alignment, cohesion),
+ * fish school inside the water they were placed in, deer and horses graze and
+ * wander as herds, wolves roam in packs and humans stroll about, stopping now
+ * and then. Deer run from wolves and from the player. Agents move the prompt object itself, so selection, picking and
+ * export follow them; neighbours are the other animals of the same type.
+ */
+
+import * as THREE from "three";
+import { setGaitSpeed } from "./locomotion.js";
+
+// Prompt objects fish can school in
+const WATER_TYPES = new Set(["water", "pond", "stream", "river_detailed", "lake_detailed", "sea", "oasis"]);
+// Fish look for water this far from where they were placed
+const WATER_SEARCH_RADIUS = 60;
+// Seconds between looks for water while a school has none
+const WATER_RETRY_SECONDS = 2;
+// Share of the water bounds fish swim in, so they stay off the shore
+const WATER_MARGIN = 0.8;
+// How far under the surface fish swim
+const FISH_DEPTH = 0.3;
+// Radians per second agents turn towards where they move
+const TURN_RATE = 4;
+
+// forward: axis the model faces (birds, fish and humans look down +z, quadrupeds down +x)
+// speed: cruising speed; fleeSpeed: speed when running from a threat
+// neighborRadius: how far the others of the type count; spacing: distance kept from them
+// range: how far from where it was placed an animal wanders before turning back
+// grazes: stops and goes (humans stand about the same way)
+// weights: strength of each steering behaviour
+const BEHAVIOURS = {
+  bird: {
+    forward: "z", speed: 8, maxForce: 8, neighborRadius: 24, spacing: 4, range: 80,
+    weights: { separation: 1.6, alignment: 1, cohesion: 0.8, wander: 0.3 },
+  },
+  fish: {
+    forward: "z", speed: 2, maxForce: 4, neighborRadius: 8, spacing: 1.2, range: 12,
+    weights: { separation: 1.6, alignment: 1, cohesion: 0.9, wander: 0.4 },
+  },
+  deer: {
+    forward: "x", speed: 1.5, fleeSpeed: 12, maxForce: 8, neighborRadius: 30, spacing: 4, range: 45,
+    grazes: true, fleeRadius: 26, threats: ["wolf"], fearsPlayer: true,
+    weights: { separation: 1.5, alignment: 0.4, cohesion: 0.5, wander: 0.6 },
+  },
+  horse: {
+    forward: "x", speed: 1.8, maxForce: 5, neighborRadius: 35, spacing: 5, range: 55,
+    grazes: true,
+    weights: { separation: 1.5, alignment: 0.4, cohesion: 0.5, wander: 0.6 },
+  },
+  wolf: {
+    forward: "x", speed: 4.5, maxForce: 5, neighborRadius: 40, spacing: 3.5, range: 120,
+    weights: { separation: 1.2, alignment: 0.8, cohesion: 0.9, wander: 0.8 },
+  },
+  human: {
+    forward: "z", speed: 1.1, maxForce: 3, neighborRadius: 12, spacing: 2, range: 25,
+    grazes: true,
+    weights: { separation: 1.5, alignment: 0.2, cohesion: 0.3, wander: 0.7 },
+  },
+};
+
+// Seconds a grazing animal stands still, and walks between stops
+const GRAZE_SECONDS = [4, 10];
+const WALK_SECONDS = [3, 8];
+// Seconds a scared deer keeps running once the threat is out of range
+const FLEE_SECONDS = 2.5;
+
+const steering = new THREE.Vector3();
+const desired = new THREE.Vector3();
+const offset = new THREE.Vector3();
+const separation = new THREE.Vector3();
+const alignment = new THREE.Vector3();
+const cohesion = new THREE.Vector3();
+const threat = new THREE.Vector3();
+const bounds = new THREE.Box3();
+const size = new THREE.Vector3();
+
+/**
+ * Create the agents of a world.
+ *   add(object, type) -> makes a prompt object an agent when its type is an animal; returns whether it did
+ *   remove(object) / has(object)
+ *   update(delta, playerPosition) -> steers and moves every agent
+ *   count() -> number of agents
+ * getHeightAt(x, z) keeps walkers and birds over the terrain; listObjects()
+ * returns the prompt objects, where fish look for water.
+ */
+export function createAgentSystem({ getHeightAt, listObjects }) {
+  // type -> [agent]
+  const groups = new Map();
+  // object -> agent
+  const agents = new Map();
+  // water object -> { centerX, centerZ, radiusX, radiusZ, surface }
+  const waterBounds = new WeakMap();
+
+  function add(object, type) {
+    const behaviour = BEHAVIOURS[type];
+    if (!behaviour) return false;
+    const { position } = object;
+    const heading = object.rotation.y + (behaviour.forward === "x" ? Math.PI / 2 : 0);
+    const agent = {
+      object,
+      type,
+      behaviour,
+      home: position.clone(),
+      velocity: new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading)).multiplyScalar(behaviour.speed),
+      wanderAngle: Math.random() * Math.PI * 2,
+      // Height kept over the terrain, and the phase birds rise and fall with
+      altitude: position.y - getHeightAt(position.x, position.z),
+      phase: Math.random() * Math.PI * 2,
+      grazing: Boolean(behaviour.grazes) && Math.random() < 0.5,
+      stateTimer: randomBetween(behaviour.grazes ? GRAZE_SECONDS : WALK_SECONDS),
+      fleeTimer: 0,
+      water: null,
+      waterTimer: 0,
+    };
+    agents.set(object, agent);
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(agent);
+    return true;
+  }
+
+  function remove(object) {
+    const agent = agents.get(object);
+    if (!agent) return;
+    agents.delete(object);
+    const group = groups.get(agent.type);
+    group.splice(group.indexOf(agent), 1);
+    if (!group.length) groups.delete(agent.type);
+  }
+
+  function update(delta, playerPosition) {
+    if (!agents.size || delta <= 0) return;
+    const time = performance.now() * 0.001;
+    agents.forEach((agent) => {
+      if (agent.type === "fish") findSchoolWater(agent, delta);
+      steer(agent, delta, playerPosition);
+      move(agent, delta, time);
+    });
+  }
+
+  function steer(agent, delta, playerPosition) {
+    const { behaviour, object, velocity } = agent;
+    const { position } = object;
+    const { weights } = behaviour;
+    steering.set(0, 0, 0);
+
+    const fleeing = behaviour.fleeRadius && scared(agent, playerPosition);
+    if (fleeing) agent.fleeTimer = FLEE_SECONDS;
+    else agent.fleeTimer = Math.max(0, agent.fleeTimer - delta);
+    const running = agent.fleeTimer > 0;
+    if (running) {
+      agent.grazing = false;
+      if (fleeing) {
+        desired.copy(threat).setLength(behaviour.fleeSpeed);
+        addSteering(desired, velocity, behaviour.maxForce * 3);
+      }
+    } else if (behaviour.grazes) {
+      agent.stateTimer -= delta;
+      if (agent.stateTimer <= 0) {
+        agent.grazing = !agent.grazing;
+        agent.stateTimer = randomBetween(agent.grazing ? GRAZE_SECONDS : WALK_SECONDS);
+      }
+    }
+
+    // Neighbours: keep apart, match heading and stay together
+    separation.set(0, 0, 0);
+    alignment.set(0, 0, 0);
+    cohesion.set(0, 0, 0);
+    let neighbours = 0;
+    groups.get(agent.type).forEach((other) => {
+      if (other === agent) return;
+      offset.subVectors(position, other.object.position).setY(0);
+      const distance = offset.length();
+      if (distance > behaviour.neighborRadius) return;
+      if (distance < behaviour.spacing && distance > 0) {
+        separation.addScaledVector(offset, 1 / (distance * distance));
+      }
+      alignment.add(other.velocity);
+      cohesion.add(other.object.position);
+      neighbours += 1;
+    });
+    if (separation.lengthSq() > 0) {
+      addSteering(desired.copy(separation).setLength(behaviour.speed * 2), velocity, behaviour.maxForce, weights.separation);
+    }
+
+    if (agent.grazing) {
+      // Standing still: only brake and give way to the others
+      addSteering(desired.set(0, 0, 0), velocity, behaviour.maxForce);
+    } else {
+      if (neighbours) {
+        if (alignment.lengthSq() > 0) {
+          addSteering(desired.copy(alignment).setLength(behaviour.speed), velocity, behaviour.maxForce, weights.alignment);
+        }
+        cohesion.divideScalar(neighbours);
+        seek(agent, cohesion, weights.cohesion);
+      }
+      // Wander: a heading that drifts a little every frame
+      agent.wanderAngle += (Math.random() - 0.5) * 4 * delta;
+      desired.set(Math.sin(agent.wanderAngle), 0, Math.cos(agent.wanderAngle)).multiplyScalar(behaviour.speed);
+      addSteering(desired, velocity, behaviour.maxForce, weights.wander);
+    }
+
+    stayInRange(agent);
+
+    velocity.addScaledVector(steering.setY(0), delta);
+    const maxSpeed = running ? behaviour.fleeSpeed : behaviour.speed * 1.5;
+    if (velocity.length() > maxSpeed) velocity.setLength(maxSpeed);
+  }
+
+  // Sets threat to the direction away from the closest wolf or player in range
+  function scared(agent, playerPosition) {
+    const { position } = agent.object;
+    const { fleeRadius, threats = [], fearsPlayer } = agent.behaviour;
+    let closest = fleeRadius;
+    const consider = (source) => {
+      offset.subVectors(position, source).setY(0);
+      const distance = offset.length();
+      if (distance < closest) {
+        closest = distance;
+        threat.copy(offset);
+      }
+    };
+    if (fearsPlayer && playerPosition) consider(playerPosition);
+    threats.forEach((type) => {
+      groups.get(type)?.forEach((other) => consider(other.object.position));
+    });
+    if (closest < fleeRadius && threat.lengthSq() === 0) threat.set(1, 0, 0);
+    return closest < fleeRadius;
+  }
+
+  // Turn back towards home (or the middle of the water) once past the range
+  function stayInRange(agent) {
+    const { position } = agent.object;
+    const { water } = agent;
+    if (water) {
+      const reach = waterReach(water, position.x, position.z);
+      if (reach > 0.85) {
+        seek(agent, offset.set(water.centerX, position.y, water.centerZ), 1 + (reach - 0.85) * 10);
+      }
+      return;
+    }
+    offset.subVectors(position, agent.home).setY(0);
+    const distance = offset.length();
+    const { range } = agent.behaviour;
+    if (distance > range) {
+      seek(agent, agent.home, 1 + (distance - range) / range);
+    }
+  }
+
+  function seek(agent, target, weight) {
+    const { behaviour, object, velocity } = agent;
+    desired.subVectors(target, object.position).setY(0);
+    if (desired.lengthSq() === 0) return;
+    desired.setLength(behaviour.speed);
+    addSteering(desired, velocity, behaviour.maxForce, weight);
+  }
+
+  function addSteering(target, velocity, maxForce, weight = 1) {
+    offset.subVectors(target, velocity).setY(0);
+    if (offset.length() > maxForce) offset.setLength(maxForce);
+    steering.addScaledVector(offset, weight);
+  }
+
+  function move(agent, delta, time) {
+    const { object, velocity, behaviour, water } = agent;
+    const { position } = object;
+    position.addScaledVector(velocity, delta);
+
+    if (water) {
+      // Pull back anything the steering let through the edge
+      const reach = waterReach(water, position.x, position.z);
+      if (reach > 1) {
+        position.x = water.centerX + (position.x - water.centerX) / reach;
+        position.z = water.centerZ + (position.z - water.centerZ) / reach;
+      }
+      position.y = water.surface - FISH_DEPTH + Math.sin(time * 1.5 + agent.phase) * 0.08;
+    } else if (agent.type === "bird") {
+      position.y = getHeightAt(position.x, position.z) + agent.altitude + Math.sin(time * 0.4 + agent.phase) * 1.5;
+    } else if (agent.type !== "fish") {
+      position.y = getHeightAt(position.x, position.z) + agent.altitude;
+    }
+
+    // Legs step at the pace it moves
+    setGaitSpeed(object, velocity.length());
+
+    // Face where it is going
+    if (velocity.lengthSq() > 0.01) {
+      const heading = Math.atan2(velocity.x, velocity.z) - (behaviour.forward === "x" ? Math.PI / 2 : 0);
+      const turn = THREE.MathUtils.euclideanModulo(heading - object.rotation.y + Math.PI, Math.PI * 2) - Math.PI;
+      object.rotation.y += THREE.MathUtils.clamp(turn, -TURN_RATE * delta, TURN_RATE * delta);
+    }
+  }
+
+  // Fish keep to the nearest water around where they were placed; while there
+  // is none (it was removed, or has not been placed yet) they circle their home
+  function findSchoolWater(agent, delta) {
+    if (agent.water?.object.parent) return;
+    agent.water = null;
+    agent.waterTimer -= delta;
+    if (agent.waterTimer > 0) return;
+    agent.waterTimer = WATER_RETRY_SECONDS;
+    let best = null;
+    let bestReach = Infinity;
+    listObjects().forEach((object) => {
+      if (!WATER_TYPES.has(object.userData.promptRecord?.type)) return;
+      const water = getWaterBounds(object);
+      const reach = waterReach(water, agent.home.x, agent.home.z);
+      const distance = Math.hypot(agent.home.x - water.centerX, agent.home.z - water.centerZ);
+      const gap = distance - Math.max(water.radiusX, water.radiusZ);
+      if (gap < WATER_SEARCH_RADIUS && reach < bestReach) {
+        best = water;
+        bestReach = reach;
+      }
+    });
+    if (!best) return;
+    agent.water = best;
+    // Start inside the water
+    const { position } = agent.object;
+    if (bestReach > 1) {
+      position.x = best.centerX + (agent.home.x - best.centerX) / bestReach;
+      position.z = best.centerZ + (agent.home.z - best.centerZ) / bestReach;
+    }
+  }
+
+  // Water bodies do not move (moving one rebuilds it), so their bounds are kept
+  function getWaterBounds(object) {
+    let water = waterBounds.get(object);
+    if (!water) {
+      bounds.setFromObject(object);
+      bounds.getSize(size);
+      water = {
+        object,
+        centerX: (bounds.min.x + bounds.max.x) / 2,
+        centerZ: (bounds.min.z + bounds.max.z) / 2,
+        radiusX: Math.max(size.x / 2, 1) * WATER_MARGIN,
+        radiusZ: Math.max(size.z / 2, 1) * WATER_MARGIN,
+        surface: object.position.y,
+      };
+      waterBounds.set(object, water);
+    }
+    return water;
+  }
+
+  function dispose() {
+    agents.clear();
+    groups.clear();
+  }
+
+  return {
+    add,
+    remove,
+    has: (object) => agents.has(object),
+    update,
+    count: () => agents.size,
+    dispose,
+  };
+}
+
+// How far out a point is in an ellipse: 0 at the centre, 1 on the edge
+function waterReach(water, x, z) {
+  const dx = (x - water.centerX) / water.radiusX;
+  const dz = (z - water.centerZ) / water.radiusZ;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+function randomBetween([min, max]) {
+  return min + Math.random() * (max - min);
+}
@@ -0,0 +1,131 @@
+/**
+ * Collision module for UniversoDu
+ * Per-part bounding boxes for solid objects and circle-vs-box resolution for the walker
+ */
+
+import * as THREE from "three";
+
+// Parts smaller than this (largest side) are decoration, not obstacles
+const MIN_PART_SIZE = 0.4;
+// Boxes lower than this above the feet can be stepped over
+const STEP_HEIGHT = 0.6;
+// Push-out passes per frame so corners between two boxes resolve cleanly
+const RESOLVE_ITERATIONS = 3;
+
+/**
+ * Create a collision registry. Each owner (a prompt object or the shrine) keeps
+ * one world-space AABB per solid mesh plus an overall box for the broad phase.
+ */
+export function createCollisionWorld() {
+  const entries = new Map();
+
+  function buildEntry(owner) {
+    owner.updateMatrixWorld(true);
+    const parts = [];
+    const bounds = new THREE.Box3();
+    const size = new THREE.Vector3();
+    owner.traverse((child) => {
+      // Instanced pieces are hidden proxies but still solid
+      if (!child.isMesh || (!child.visible && !child.userData.instanced) || child.userData.noCollide) return;
+      if (isGhostMaterial(child.material)) return;
+      const geometry = child.geometry;
+      if (!geometry) return;
+      if (!geometry.boundingBox) geometry.computeBoundingBox();
+      const box = geometry.boundingBox.clone().applyMatrix4(child.matrixWorld);
+      box.getSize(size);
+      if (Math.max(size.x, size.y, size.z) < MIN_PART_SIZE) return;
+      parts.push(box);
+      bounds.union(box);
+    });
+    return parts.length ? { parts, bounds } : null;
+  }
+
+  /** Register (or rebuild) the colliders of an object */
+  function add(owner) {
+    const entry = buildEntry(owner);
+    if (entry) {
+      entries.set(owner, entry);
+    } else {
+      entries.delete(owner);
+    }
+  }
+
+  /** Forget an object's colliders */
+  function remove(owner) {
+    entries.delete(owner);
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  /**
+   * Push a vertical cylinder (center on XZ, radius, feet/head heights) out of every
+   * overlapping box. Only the penetrating component is removed, so the walker slides.
+   */
+  function resolve(position, radius, feetY, headY) {
+    const minY = feetY + STEP_HEIGHT;
+    let collided = false;
+    for (let pass = 0; pass < RESOLVE_ITERATIONS; pass += 1) {
+      let moved = false;
+      entries.forEach(({ parts, bounds }) => {
+        if (!overlapsColumn(bounds, position, radius, minY, headY)) return;
+        parts.forEach((box) => {
+          if (!overlapsColumn(box, position, radius, minY, headY)) return;
+          if (pushOutOfBox(position, radius, box)) {
+            moved = true;
+          }
+        });
+      });
+      if (!moved) break;
+      collided = true;
+    }
+    return collided;
+  }
+
+  return { add, remove, clear, resolve };
+}
+
+function isGhostMaterial(material) {
+  const materials = Array.isArray(material) ? material : [material];
+  return materials.every((mat) => !mat || (mat.transparent && mat.opacity < 0.5));
+}
+
+function overlapsColumn(box, position, radius, minY, maxY) {
+  return (
+    box.max.y > minY &&
+    box.min.y < maxY &&
+    position.x + radius > box.min.x &&
+    position.x - radius < box.max.x &&
+    position.z + radius > box.min.z &&
+    position.z - radius < box.max.z
+  );
+}
+
+function pushOutOfBox(position, radius, box) {
+  const closestX = THREE.MathUtils.clamp(position.x, box.min.x, box.max.x);
+  const closestZ = THREE.MathUtils.clamp(position.z, box.min.z, box.max.z);
+  const dx = position.x - closestX;
+  const dz = position.z - closestZ;
+  const distanceSq = dx * dx + dz * dz;
+
+  if (distanceSq > 0) {
+    if (distanceSq >= radius * radius) return false;
+    const distance = Math.sqrt(distanceSq);
+    const push = radius - distance;
+    position.x += (dx / distance) * push;
+    position.z += (dz / distance) * push;
+    return true;
+  }
+
+  // Center inside the box: leave through the nearest face
+  const exits = [
+    { axis: "x", amount: box.min.x - radius - position.x },
+    { axis: "x", amount: box.max.x + radius - position.x },
+    { axis: "z", amount: box.min.z - radius - position.z },
+    { axis: "z", amount: box.max.z + radius - position.z },
+  ];
+  const nearest = exits.reduce((best, exit) => (Math.abs(exit.amount) < Math.abs(best.amount) ? exit : best));
+  position[nearest.axis] += nearest.amount;
+  return true;
+}
@@ -3,123 +3,12 @@
  * Centralized configuration to avoid duplication
  */
 
-// Tags allowed for landscape generation
-export const ALLOWED_TAGS = new Set([
-  "cacti",
-  "rocks",
-  "oasis",
-  "ruins",
-  "crystals",
-  "mirage",
-  "fireflies",
-  "totems",
-  "structures",
-  "flora",
-  "portals",
-  "storm",
-  "sentinels",
-  "creatures",
-  "nomads",
-]);
+import { ALLOWED_TAGS, ENTITY_TYPES, ENTITY_TYPE_ALIASES, PLAN_LIMITS } from "../shared/schema.js";
 
-export const KNOWN_TAGS = Array.from(ALLOWED_TAGS);
-
-// Entity types that can be spawned
-export const ENTITY_TYPES = new Set([
-  "structure",
-  "tower",
-  "tree",
-  "oasis",
-  "water",
-  "crystal",
-  "portal",
-  "fireflies",
-  "totem",
-  "rock",
-  "dune",
-  "bridge",
-  "monolith",
-  "flora",
-  "creature",
-  "sentinel",
-  "cacti",
-  "ruins",
-  "mirage",
-  "nomad",
-  "storm",
-  // New types
-  "human",
-  "bird",
-  "fish",
-  "deer",
-  "wolf",
-  "horse",
-  "sea",
-  "river_detailed",
-  "lake_detailed",
-]);
+// Tags, entity types and aliases come from the plan schema shared with the API
+export { ALLOWED_TAGS, ENTITY_TYPES, ENTITY_TYPE_ALIASES };
 
-// Alias mapping for entity types (plural/alternative names -> canonical)
-export const ENTITY_TYPE_ALIASES = {
-  structures: "structure",
-  building: "structure",
-  buildings: "structure",
-  towers: "tower",
-  trees: "tree",
-  cactus: "cacti",
-  cactuses: "cacti",
-  oasis: "oasis",
-  waters: "water",
-  lakes: "water",
-  crystals: "crystal",
-  portals: "portal",
-  gateways: "portal",
-  firefly: "fireflies",
-  totems: "totem",
-  rocks: "rock",
-  stones: "rock",
-  dunes: "dune",
-  bridges: "bridge",
-  monoliths: "monolith",
-  florae: "flora",
-  plants: "flora",
-  creatures: "creature",
-  sentinels: "sentinel",
-  guardians: "sentinel",
-  ruins: "ruins",
-  temples: "ruins",
-  mirages: "mirage",
-  visions: "mirage",
-  nomads: "nomad",
-  caravans: "nomad",
-  storms: "storm",
-  // Human and animal aliases
-  person: "human",
-  figure: "human",
-  man: "human",
-  woman: "human",
-  people: "human",
-  humans: "human",
-  birds: "bird",
-  eagle: "bird",
-  hawk: "bird",
-  fishes: "fish",
-  deers: "deer",
-  wolves: "wolf",
-  dog: "wolf",
-  dogs: "wolf",
-  horses: "horse",
-  animal: "deer",
-  animals: "deer",
-  // Water body aliases
-  ocean: "sea",
-  seas: "sea",
-  oceans: "sea",
-  river: "river_detailed",
-  rivers: "river_detailed",
-  lake: "lake_detailed",
-  lakes: "lake_detailed",
-};
+export const KNOWN_TAGS = Array.from(ALLOWED_TAGS);
 
 // Human-readable labels for tags (Spanish)
 export const TAG_LABELS = {
@@ -145,11 +34,25 @@ export const WORLD_CONFIG = {
   MAX_PROMPT_OBJECTS: 120,
   WALK_SPEED: 42,
   CAMERA_HEIGHT: 3.2,
-  TERRAIN_SIZE: 2400,
+  PLAYER_RADIUS: 0.8,
+  TERRAIN_CHUNK_SIZE: 240,
+  TERRAIN_CHUNK_CELLS: 20,
+  TERRAIN_VIEW_CHUNKS: 5,
   DUST_PARTICLE_COUNT: 2000,
+  SNAPSHOT_VERSION: 1,
+  MAX_UNDO_STEPS: 40,
+  DAY_LENGTH_SECONDS: 240,
+  MIN_DAY_LENGTH_SECONDS: 30,
+  MAX_DAY_LENGTH_SECONDS: 1800,
+  RAIN_DROP_COUNT: 2500,
+  WEATHER_TRANSITION_SECONDS: 4,
+  // Camera distances where detailed objects drop to their medium, low and
+  // impostor variants (scaled up for big objects, see lod.js)
+  LOD_DISTANCES: { medium: 70, low: 150, impostor: 300 },
 };
 
-// Day/night cycle stages
+// Day/night cycle stages. time is the time of day (0 = midnight, 0.5 = noon)
+// where each preset applies; the sun and moon are placed from it.
 export const DAY_STAGES = {
   amanecer: {
     skyColor: 0xffb07c,  // Naranja rosado amanecer
@@ -158,6 +61,7 @@ export const DAY_STAGES = {
     sunColor: 0xffe5b5,
     sunIntensity: 1.35,
     ambientIntensity: 0.45,
+    time: 0.27,
   },
   manana: {
     skyColor: 0x87ceeb,  // Azul cielo claro
@@ -166,6 +70,7 @@ export const DAY_STAGES = {
     sunColor: 0xfff0c3,
     sunIntensity: 1.6,
     ambientIntensity: 0.6,
+    time: 0.38,
   },
   tarde: {
     skyColor: 0x6bb3d9,  // Azul cielo medio
@@ -174,6 +79,7 @@ export const DAY_STAGES = {
     sunColor: 0xffc16c,
     sunIntensity: 1.4,
     ambientIntensity: 0.5,
+    time: 0.58,
   },
   atardecer: {
     skyColor: 0xff7f50,  // Naranja coral atardecer
@@ -182,6 +88,7 @@ export const DAY_STAGES = {
     sunColor: 0xf86c4f,
     sunIntensity: 1.1,
     ambientIntensity: 0.35,
+    time: 0.72,
   },
   noche: {
     skyColor: 0x1a1a2e,  // Azul oscuro noche
@@ -190,9 +97,78 @@ export const DAY_STAGES = {
     sunColor: 0x6ab0ff,
     sunIntensity: 0.35,
     ambientIntensity: 0.2,
+    time: 0,
   },
 };
 
+// Select value that lets the clock run instead of holding a preset
+export const DAY_CYCLE_STAGE = "ciclo";
+
+// Keyframes of the continuous cycle as [time of day, stage]; values are
+// interpolated between neighbours and wrap at 1
+export const DAY_CYCLE_KEYFRAMES = [
+  [0, "noche"],
+  [0.2, "noche"],
+  [0.27, "amanecer"],
+  [0.38, "manana"],
+  [0.58, "tarde"],
+  [0.72, "atardecer"],
+  [0.8, "noche"],
+  [1, "noche"],
+];
+
+// Weather presets. fog multiplies the day stage fog density, light scales the
+// sun/ambient intensity, tint pulls fog and sky toward tintColor, dust scales the
+// dust rise speed and wind drags it sideways, rain is the precipitation amount
+export const WEATHER_PRESETS = {
+  despejado: {
+    label: "Despejado",
+    fog: 1,
+    light: 1,
+    tint: 0,
+    tintColor: 0xc9b896,
+    dust: 1,
+    wind: 0,
+    rain: 0,
+    lightning: false,
+  },
+  tormenta_arena: {
+    label: "Tormenta de arena",
+    fog: 10,
+    light: 0.6,
+    tint: 0.75,
+    tintColor: 0xc29a5b,
+    dust: 4,
+    wind: 45,
+    rain: 0,
+    lightning: false,
+  },
+  lluvia: {
+    label: "Lluvia",
+    fog: 3,
+    light: 0.65,
+    tint: 0.45,
+    tintColor: 0x6f7b88,
+    dust: 0.3,
+    wind: 4,
+    rain: 1,
+    lightning: false,
+  },
+  tormenta_electrica: {
+    label: "Tormenta electrica",
+    fog: 4,
+    light: 0.45,
+    tint: 0.6,
+    tintColor: 0x3d4556,
+    dust: 1.5,
+    wind: 12,
+    rain: 1,
+    lightning: true,
+  },
+};
+
+export const DEFAULT_WEATHER = "despejado";
+
 // API configuration
 export const API_CONFIG = {
   FETCH_TIMEOUT_MS: 30000,
@@ -203,4 +179,8 @@ export const API_CONFIG = {
 export const UI_CONFIG = {
   MAX_LOG_ITEMS: 6,
   TOAST_DURATION_MS: 2600,
+  MAX_SHARE_URL_LENGTH: 8000,
+  // The API rejects longer prompts
+  MAX_PROMPT_LENGTH: PLAN_LIMITS.promptLength,
+  DEBUG_REFRESH_MS: 500,
 };
@@ -0,0 +1,200 @@
+/**
+ * Instanced rendering for UniversoDu
+ * High-count pieces (cactus stems, rocks, plants, grass blades, fireflies) are
+ * built on shared unit geometries. Each prompt object keeps those meshes as
+ * hidden proxies, so picking, collisions, grounding and transforms work as
+ * before, while one InstancedMesh per entity type, geometry and material look
+ * draws every piece of that kind with its own transform and colour.
+ */
+
+import * as THREE from "three";
+
+const INITIAL_CAPACITY = 64;
+
+const geometryCache = new Map();
+const white = new THREE.Color(0xffffff);
+
+/**
+ * Get or create the geometry shared by every piece of one shape. Meshes using
+ * it are batched by createInstanceBatches() and never dispose it.
+ */
+export function sharedGeometry(key, create) {
+  let geometry = geometryCache.get(key);
+  if (!geometry) {
+    geometry = create();
+    geometry.userData.shared = true;
+    geometryCache.set(key, geometry);
+  }
+  return geometry;
+}
+
+/**
+ * Create the batches for a scene.
+ *   add(owner, type) -> hides the owner's shared-geometry meshes and draws them as instances
+ *   remove(owner) -> drops the owner's instances (swapping the last instance into each hole)
+ *   update() -> copies the proxies' world matrices into their instances
+ *   getStats() -> { batches, instances }
+ */
+export function createInstanceBatches(scene) {
+  const root = new THREE.Group();
+  root.name = "instance-batches";
+  scene.add(root);
+  // key -> { mesh, proxies, slots: Map(proxy -> index) }
+  const batches = new Map();
+  // owner -> [{ batch, proxy }]
+  const owners = new Map();
+
+  function batchFor(type, proxy) {
+    const key = [
+      type,
+      proxy.geometry.uuid,
+      materialKey(proxy.material),
+      proxy.castShadow,
+      proxy.receiveShadow,
+    ].join("|");
+    let batch = batches.get(key);
+    if (!batch) {
+      // Colour comes from the instances; the material keeps everything else
+      const material = proxy.material.clone();
+      material.color?.copy(white);
+      const mesh = createBatchMesh(proxy.geometry, material, INITIAL_CAPACITY);
+      mesh.castShadow = proxy.castShadow;
+      mesh.receiveShadow = proxy.receiveShadow;
+      root.add(mesh);
+      batch = { key, mesh, proxies: [], slots: new Map() };
+      batches.set(key, batch);
+    }
+    return batch;
+  }
+
+  function grow(batch) {
+    const previous = batch.mesh;
+    const mesh = createBatchMesh(previous.geometry, previous.material, previous.instanceMatrix.count * 2);
+    mesh.instanceMatrix.array.set(previous.instanceMatrix.array);
+    mesh.instanceColor.array.set(previous.instanceColor.array);
+    mesh.count = previous.count;
+    mesh.castShadow = previous.castShadow;
+    mesh.receiveShadow = previous.receiveShadow;
+    root.remove(previous);
+    previous.dispose();
+    root.add(mesh);
+    batch.mesh = mesh;
+  }
+
+  function add(owner, type) {
+    const entries = [];
+    owner.updateMatrixWorld(true);
+    traverseBatchable(owner, (child) => {
+      if (!child.isMesh || child.isInstancedMesh || !child.geometry?.userData.shared) return;
+      if (!child.material || Array.isArray(child.material)) return;
+      const batch = batchFor(type, child);
+      if (batch.proxies.length === batch.mesh.instanceMatrix.count) grow(batch);
+      const index = batch.proxies.length;
+      batch.proxies.push(child);
+      batch.slots.set(child, index);
+      const { mesh } = batch;
+      (child.material.color || white).toArray(mesh.instanceColor.array, index * 3);
+      child.matrixWorld.toArray(mesh.instanceMatrix.array, index * 16);
+      mesh.count = batch.proxies.length;
+      mesh.instanceColor.needsUpdate = true;
+      mesh.instanceMatrix.needsUpdate = true;
+      // Still raycast and bounded like any mesh; collisions read the flag
+      child.visible = false;
+      child.userData.instanced = true;
+      entries.push({ batch, proxy: child });
+    });
+    if (entries.length) owners.set(owner, entries);
+  }
+
+  function remove(owner) {
+    const entries = owners.get(owner);
+    if (!entries) return;
+    owners.delete(owner);
+    entries.forEach(({ batch, proxy }) => {
+      const index = batch.slots.get(proxy);
+      const last = batch.proxies.pop();
+      batch.slots.delete(proxy);
+      const { mesh } = batch;
+      if (last !== proxy) {
+        batch.proxies[index] = last;
+        batch.slots.set(last, index);
+        mesh.instanceColor.array.copyWithin(index * 3, batch.proxies.length * 3, batch.proxies.length * 3 + 3);
+        last.matrixWorld.toArray(mesh.instanceMatrix.array, index * 16);
+      }
+      mesh.count = batch.proxies.length;
+      mesh.instanceColor.needsUpdate = true;
+      mesh.instanceMatrix.needsUpdate = true;
+      proxy.visible = true;
+      delete proxy.userData.instanced;
+      if (!batch.proxies.length) {
+        root.remove(mesh);
+        mesh.dispose();
+        mesh.material.dispose();
+        batches.delete(batch.key);
+      }
+    });
+  }
+
+  // Call once the proxies' world matrices are current (e.g. right after a render)
+  function update() {
+    batches.forEach(({ mesh, proxies }) => {
+      const array = mesh.instanceMatrix.array;
+      for (let i = 0; i < proxies.length; i += 1) {
+        proxies[i].matrixWorld.toArray(array, i * 16);
+      }
+      mesh.instanceMatrix.needsUpdate = true;
+    });
+  }
+
+  function getStats() {
+    let instances = 0;
+    batches.forEach(({ proxies }) => {
+      instances += proxies.length;
+    });
+    return { batches: batches.size, instances };
+  }
+
+  function dispose() {
+    batches.forEach(({ mesh }) => {
+      mesh.dispose();
+      mesh.material.dispose();
+    });
+    batches.clear();
+    owners.clear();
+    scene.remove(root);
+  }
+
+  return { add, remove, update, getStats, dispose };
+}
+
+// Like traverse(), but skips LOD levels: they show and hide by distance, which
+// instances cannot follow (see lod.js), so they stay plain meshes
+function traverseBatchable(object, callback) {
+  if (object.isLOD) return;
+  callback(object);
+  object.children.forEach((child) => traverseBatchable(child, callback));
+}
+
+function createBatchMesh(geometry, material, capacity) {
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  mesh.count = 0;
+  // Instances spread over the whole world, so the batch has no useful bounds
+  mesh.frustumCulled = false;
+  return mesh;
+}
+
+// Everything about a material except its colour, which each instance carries
+function materialKey(material) {
+  return [
+    material.type,
+    material.transparent,
+    material.opacity,
+    material.side,
+    material.roughness,
+    material.metalness,
+    material.flatShading,
+    material.emissive?.getHexString(),
+  ].join(",");
+}
@@ -0,0 +1,158 @@
+/**
+ * Procedural locomotion for UniversoDu
+ * Humans and four-legged animals are built with hip and knee pivots (see the
+ * leg helpers in spawners.js); createGait() ties those joints to a walk cycle.
+ * The cycle advances with the distance covered, so a faster animal steps
+ * faster, and quadrupeds move from a four-beat walk to a gallop as they speed
+ * up. Standing still, the body breathes and shifts its weight. World.js runs
+ * the cycle as the "gait" animation type; agents report their speed through
+ * setGaitSpeed().
+ */
+
+import * as THREE from "three";
+
+const TAU = Math.PI * 2;
+
+// Share of the cycle each leg is behind the first one. Quadrupeds walk in a
+// lateral sequence (hind, fore on the same side, then the other side) and
+// gallop with the hind pair, then the fore pair, landing a beat apart.
+const LEG_OFFSETS = {
+  quadruped: {
+    walk: { hind: { "-1": 0, 1: 0.5 }, fore: { "-1": 0.25, 1: 0.75 } },
+    gallop: { hind: { "-1": 0, 1: 0.1 }, fore: { "-1": 0.5, 1: 0.6 } },
+  },
+  biped: {
+    walk: { hind: { "-1": 0, 1: 0.5 } },
+  },
+};
+
+// Idle motion: rate (radians per second) and size of the breathing, and of the
+// slower sway of shifting weight from one side to the other
+const BREATH_RATE = 1.8;
+const BREATH_AMOUNT = 0.025;
+const SHIFT_RATE = 0.6;
+const SHIFT_AMOUNT = 0.03;
+
+/**
+ * Build the gait of a rigged model.
+ *   body: group holding the whole model (it bobs, pitches and rolls)
+ *   torso: mesh that breathes (scaled across, so the cylinder swells)
+ *   legs: [{ hip, knee, side: -1 | 1, fore }] pivots; fore marks front legs
+ *   arms: [{ pivot, side }] swing against the leg of the same side (bipeds)
+ *   kind: "quadruped" or "biped", which picks the leg timing
+ *   forward: model axis the animal faces, "x" (quadrupeds) or "z" (humans)
+ *   stride: distance of one full walk cycle in model units (a gallop covers twice that)
+ *   swing / knee: hip swing and knee bend at a walk, in radians
+ *   walkSpeed: speed (model units per second) at which the walk is full
+ *   gallopSpeed: speed of a full gallop, or 0 for a model that only walks
+ */
+export function createGait({
+  body,
+  torso = null,
+  legs,
+  arms = [],
+  kind = "quadruped",
+  forward = "x",
+  stride = 2,
+  swing = 0.45,
+  knee = 0.6,
+  bob = 0.04,
+  walkSpeed = 1.5,
+  gallopSpeed = 0,
+}) {
+  const offsets = LEG_OFFSETS[kind];
+  return {
+    body,
+    torso,
+    torsoScale: torso ? torso.scale.clone() : null,
+    legs: legs.map((leg) => {
+      const pair = leg.fore ? "fore" : "hind";
+      const walk = offsets.walk[pair][leg.side];
+      return { ...leg, walk, gallop: offsets.gallop?.[pair][leg.side] ?? walk };
+    }),
+    // An arm swings with the opposite leg
+    arms: arms.map((arm) => ({ ...arm, walk: offsets.walk.hind[-arm.side] })),
+    forward,
+    stride,
+    swing,
+    knee,
+    bob,
+    walkSpeed,
+    gallopSpeed,
+    speed: 0,
+    phase: 0,
+    idlePhase: Math.random() * TAU,
+  };
+}
+
+/**
+ * Mark an object (a prompt object root, or the LOD around the rigged model)
+ * as animated by a gait, so world.js finds it and agents can drive it
+ */
+export function attachGait(object, gait) {
+  Object.assign(object.userData, { animated: true, animationType: "gait", gait });
+  return object;
+}
+
+/**
+ * Report how fast a rigged object moves, in world units per second
+ */
+export function setGaitSpeed(object, speed) {
+  const { gait } = object.userData;
+  if (gait) gait.speed = speed / (object.scale.x || 1);
+}
+
+/**
+ * Advance the cycle and pose the joints
+ */
+export function updateGait(gait, delta, time) {
+  const { speed, walkSpeed, gallopSpeed } = gait;
+  const gallop = gallopSpeed ? THREE.MathUtils.smoothstep(speed, walkSpeed * 2, gallopSpeed) : 0;
+  gait.phase = (gait.phase + (delta * speed) / (gait.stride * (1 + gallop))) % 1;
+  // Hidden by the LOD: keep the cycle going, skip the posing
+  if (!gait.body.visible) return;
+
+  const moving = THREE.MathUtils.clamp(speed / walkSpeed, 0, 1);
+  const swing = gait.swing * moving * (1 + gallop * 0.6);
+  const knee = gait.knee * moving * (1 + gallop * 0.4);
+  const idle = 1 - moving;
+
+  gait.legs.forEach((leg) => {
+    const cycle = (gait.phase + THREE.MathUtils.lerp(leg.walk, leg.gallop, gallop)) * TAU;
+    // The foot travels forward while the hip swings forward, lifted by the knee
+    setJoint(leg.hip, gait.forward, Math.sin(cycle) * swing);
+    setJoint(leg.knee, gait.forward, -Math.max(0, Math.cos(cycle)) * knee);
+  });
+  gait.arms.forEach((arm) => {
+    setJoint(arm.pivot, gait.forward, Math.sin((gait.phase + arm.walk) * TAU) * swing * 0.8);
+  });
+
+  // Swung legs reach less far down, so the body dips twice a cycle instead of
+  // the feet leaving the ground; a gallop also rocks it nose to tail
+  const { body } = gait;
+  body.position.y = -Math.abs(Math.sin(gait.phase * TAU)) * gait.bob * moving * (1 + gallop * 2);
+  const pitch = Math.sin(gait.phase * TAU) * 0.08 * gallop * moving;
+  const roll = Math.sin(time * SHIFT_RATE + gait.idlePhase) * SHIFT_AMOUNT * idle;
+  if (gait.forward === "x") {
+    body.rotation.z = pitch;
+    body.rotation.x = roll;
+  } else {
+    body.rotation.x = -pitch;
+    body.rotation.z = roll;
+  }
+
+  if (gait.torso) {
+    const breath = 1 + Math.sin(time * BREATH_RATE + gait.idlePhase) * BREATH_AMOUNT * (0.4 + idle * 0.6);
+    gait.torso.scale.set(gait.torsoScale.x * breath, gait.torsoScale.y, gait.torsoScale.z * breath);
+  }
+}
+
+// Turn a joint by angle about the axis across the direction of travel;
+// positive moves what hangs from it forward
+function setJoint(joint, forward, angle) {
+  if (forward === "x") {
+    joint.rotation.z = angle;
+  } else {
+    joint.rotation.x = -angle;
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Level of detail for UniversoDu spawners
+ * Detailed spawners build their full object plus cheaper variants and wrap
+ * them with createLevels(); the renderer then shows the variant that matches
+ * the camera distance (THREE.LOD). Only the full-detail level collides. The
+ * farthest level can be an impostor: a quad that turns to face the camera,
+ * with the size and main colour of the object.
+ */
+
+import * as THREE from "three";
+import { WORLD_CONFIG } from "./constants.js";
+
+const { LOD_DISTANCES } = WORLD_CONFIG;
+// Objects up to this radius switch at LOD_DISTANCES; bigger ones switch
+// proportionally later, up to LOD_MAX_REACH times as far
+const LOD_REFERENCE_RADIUS = 6;
+const LOD_MAX_REACH = 4;
+// Fraction of each distance kept as a dead band, so standing on a threshold does not flicker
+const LOD_HYSTERESIS = 0.1;
+const IMPOSTOR_TEXTURE_SIZE = 32;
+
+const UP = new THREE.Vector3(0, 1, 0);
+const tmpPosition = new THREE.Vector3();
+const tmpCamera = new THREE.Vector3();
+const tmpQuaternion = new THREE.Quaternion();
+const tmpParentQuaternion = new THREE.Quaternion();
+
+let impostorGeometry = null;
+let impostorTexture = null;
+
+/**
+ * Wrap the detail variants of an object in a THREE.LOD. high is required and
+ * must be built at the origin (position and scale go on the returned LOD);
+ * medium and low are optional; impostor adds the billboard for the far range.
+ */
+export function createLevels({ high, medium = null, low = null, impostor = true }) {
+  const bounds = new THREE.Box3().setFromObject(high);
+  const radius = bounds.isEmpty() ? 0 : bounds.getBoundingSphere(new THREE.Sphere()).radius;
+  const reach = THREE.MathUtils.clamp(radius / LOD_REFERENCE_RADIUS, 1, LOD_MAX_REACH);
+
+  const lod = new THREE.LOD();
+  const levels = [
+    ["high", high, 0],
+    ["medium", medium, LOD_DISTANCES.medium],
+    ["low", low, LOD_DISTANCES.low],
+    ["impostor", impostor && !bounds.isEmpty() ? createImpostor(high, bounds) : null, LOD_DISTANCES.impostor],
+  ];
+  levels.forEach(([name, object, distance]) => {
+    if (!object) return;
+    object.userData.lodLevel = name;
+    if (name !== "high") {
+      // The walker collides with what the full model would block, at any distance
+      object.traverse((child) => {
+        child.userData.noCollide = true;
+      });
+    }
+    lod.addLevel(object, distance * reach, LOD_HYSTERESIS);
+  });
+  return lod;
+}
+
+/**
+ * Name of the level an LOD is showing ("high", "medium", "low", "impostor")
+ */
+export function currentLevelName(lod) {
+  return lod.levels[lod.getCurrentLevel()]?.object.userData.lodLevel || "high";
+}
+
+function createImpostor(source, bounds) {
+  const size = bounds.getSize(new THREE.Vector3());
+  const material = new THREE.MeshLambertMaterial({
+    color: mainColor(source),
+    map: getImpostorTexture(),
+    alphaTest: 0.5,
+  });
+  const impostor = new THREE.Mesh(getImpostorGeometry(), material);
+  bounds.getCenter(impostor.position);
+  impostor.scale.set(Math.max(size.x, size.z), size.y, 1);
+  impostor.onBeforeRender = faceCamera;
+  return impostor;
+}
+
+// Turns the quad about the vertical axis towards the camera. three.js has
+// already computed this frame's matrices, so they are refreshed here.
+function faceCamera(renderer, scene, camera) {
+  this.getWorldPosition(tmpPosition);
+  tmpCamera.setFromMatrixPosition(camera.matrixWorld);
+  tmpQuaternion.setFromAxisAngle(UP, Math.atan2(tmpCamera.x - tmpPosition.x, tmpCamera.z - tmpPosition.z));
+  this.parent.getWorldQuaternion(tmpParentQuaternion).invert();
+  this.quaternion.copy(tmpParentQuaternion.multiply(tmpQuaternion));
+  this.updateMatrixWorld();
+}
+
+// Colour of the biggest opaque part
+function mainColor(source) {
+  const size = new THREE.Vector3();
+  let color = null;
+  let biggest = -1;
+  source.traverse((child) => {
+    if (!child.isMesh || !child.material?.color || child.material.transparent) return;
+    if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+    child.geometry.boundingBox.getSize(size).multiply(child.scale);
+    const volume = size.x * size.y * size.z;
+    if (volume > biggest) {
+      biggest = volume;
+      color = child.material.color;
+    }
+  });
+  return color ? color.clone() : new THREE.Color(0x888888);
+}
+
+// One quad for every impostor. Marked shared so disposing an object leaves it alone.
+function getImpostorGeometry() {
+  if (!impostorGeometry) {
+    impostorGeometry = new THREE.PlaneGeometry(1, 1);
+    impostorGeometry.userData.shared = true;
+  }
+  return impostorGeometry;
+}
+
+// White ellipse on a transparent square: the impostor silhouette
+function getImpostorTexture() {
+  if (!impostorTexture) {
+    const data = new Uint8Array(IMPOSTOR_TEXTURE_SIZE * IMPOSTOR_TEXTURE_SIZE * 4);
+    const half = IMPOSTOR_TEXTURE_SIZE / 2;
+    for (let y = 0; y < IMPOSTOR_TEXTURE_SIZE; y += 1) {
+      for (let x = 0; x < IMPOSTOR_TEXTURE_SIZE; x += 1) {
+        const dx = (x + 0.5 - half) / half;
+        const dy = (y + 0.5 - half) / half;
+        const offset = (y * IMPOSTOR_TEXTURE_SIZE + x) * 4;
+        data.fill(255, offset, offset + 3);
+        data[offset + 3] = dx * dx + dy * dy <= 1 ? 255 : 0;
+      }
+    }
+    impostorTexture = new THREE.DataTexture(data, IMPOSTOR_TEXTURE_SIZE, IMPOSTOR_TEXTURE_SIZE);
+    impostorTexture.magFilter = THREE.LinearFilter;
+    impostorTexture.needsUpdate = true;
+  }
+  return impostorTexture;
+}
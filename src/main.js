@@ -6,19 +6,27 @@
 import { initUI } from "./ui.js";
 import { createWorld, tagLabel } from "./world.js";
 import { createAmbientAudio } from "./audio.js";
-import { API_CONFIG } from "./constants.js";
+import { API_CONFIG, UI_CONFIG } from "./constants.js";
+import { encodeShareState, decodeShareState } from "./share.js";
+import { parsePrompt } from "./prompt.js";
+import { registerEntityType } from "./spawners.js";
 import {
   normalizeTags,
   normalizeEntities,
+  normalizeOperations,
   extractTags,
   extractSummary,
   extractEntities,
   parseAiJson,
   fetchWithTimeout,
+  readNdjson,
 } from "./utils.js";
 
 console.log("UniversoDu boot");
 
+// Hook for scripts loaded next to the bundle that add their own entity types
+window.UNIVERSODU = { ...window.UNIVERSODU, registerEntityType };
+
 const canvas = document.getElementById("world-canvas");
 
 function isWebGLAvailable() {
@@ -36,13 +44,17 @@ const ui = initUI({
     if (!world) return;
     world.requestPointerLock();
   },
-  onPrompt: (value) => {
-    handlePrompt(value);
+  onPrompt: (value, options) => {
+    handlePrompt(value, options);
   },
   onDayChange: (stage) => {
     currentDayStage = stage;
     world?.setDayStage(stage);
   },
+  onDayLengthChange: (seconds) => world?.setDayLength(seconds),
+  onWeatherChange: (type) => {
+    world?.setWeather(type);
+  },
   onTogglePanel: () => {},
   onToggleAudio: () => {
     if (!ambientAudio) return null;
@@ -53,6 +65,30 @@ const ui = initUI({
     ambientAudio.start();
     return true;
   },
+  onShareWorld: () => {
+    shareScene();
+  },
+  onExportWorld: () => {
+    exportScene();
+  },
+  onImportWorld: (text) => {
+    importScene(text);
+  },
+  onUndo: () => {
+    world?.undo();
+  },
+  onRedo: () => {
+    world?.redo();
+  },
+  onDeleteSelection: () => {
+    world?.deleteSelected();
+  },
+  onCloseSelection: () => {
+    world?.clearSelection();
+  },
+  onToggleDebug: (visible) => {
+    setDebugReadout(visible);
+  },
   onRequestLocalServerHelp: () => {
     const commands = "npm install\nnpm run dev";
     if (navigator.clipboard) {
@@ -86,9 +122,13 @@ let world;
 let currentDayStage = "amanecer";
 const ambientAudio = createAmbientAudio();
 
-function initWorld() {
+// Optional ?seed= in the URL makes the terrain and initial landscape reproducible
+const urlSeed = new URLSearchParams(window.location.search).get("seed");
+
+function initWorld(seed) {
   try {
     world = createWorld(canvas, {
+      seed,
       onPointerLockChange: (locked) => {
         ui.markPointerLock(locked);
         ui.setEnterButtonState(locked ? "Explorando" : "Entrar", locked);
@@ -99,111 +139,67 @@ function initWorld() {
       onPointerLockError: (message) => {
         ui.notify(message || "Pointer Lock no disponible");
       },
+      onWeatherChange: (type) => {
+        ui.setWeather(type);
+      },
+      onSelectionChange: (selection) => {
+        ui.showSelection(selection);
+      },
+      onObjectDeleted: (selection) => {
+        ui.pushPromptLog(`Eliminar ${selection.label}`, "Objeto eliminado");
+        ui.notify(`${selection.label} eliminado`);
+      },
+      onHistoryChange: (state) => {
+        ui.setHistoryState(state);
+        if (state.action) {
+          const label = state.meta?.prompt ? `: ${state.meta.prompt}` : "";
+          ui.notify(state.action === "undo" ? `Deshecho${label}` : `Rehecho${label}`);
+        }
+      },
     });
     world.setDayStage(currentDayStage);
+    ui.setDayLength(world.getDayLength());
   } catch (error) {
     console.error(error);
     ui.showError("No se pudo inicializar el mundo 3D.");
   }
 }
 
-initWorld();
+// A #w= hash carries a shared scene: rebuild it from its plans without calling the AI
+async function boot() {
+  const shared = await decodeShareState(window.location.hash);
+  initWorld(shared?.seed ?? (urlSeed || undefined));
+  if (shared && world) {
+    replaySharedScene(shared);
+  }
+}
+
+// Every plan is replayed, in order: later ones may edit or remove objects by
+// the ids earlier ones created, and the world's eviction keeps the object cap
+function replaySharedScene(shared) {
+  shared.plans.forEach((entry) => {
+    world.applyPromptPlan(entry.plan, { seed: entry.seed, origin: entry.origin, meta: entry.meta });
+    ui.pushPromptLog(entry.meta.prompt || "Prompt compartido", entry.meta.summary);
+  });
+  if (shared.weather) {
+    world.setWeather(shared.weather);
+  }
+  if (shared.dayStage) {
+    world.setDayStage(shared.dayStage);
+    currentDayStage = world.getDayStage();
+    ui.setDayStage(currentDayStage);
+  }
+  ui.setStatus("Escena compartida cargada");
+}
+
+boot();
 
 const AI_ENDPOINT =
   (typeof import.meta !== "undefined" && import.meta.env?.VITE_AI_ENDPOINT) ||
   window.UNIVERSODU_AI_ENDPOINT ||
   API_CONFIG.DEFAULT_ENDPOINT;
 
-// Local keyword-based generator as fallback when AI is unavailable
-const KEYWORD_MAP = {
-  // Spanish keywords
-  cactus: "cacti", cactos: "cacti", cactus: "cacti",
-  roca: "rocks", rocas: "rocks", piedra: "rocks", piedras: "rocks",
-  ruina: "ruins", ruinas: "ruins", templo: "temple", templos: "temple",
-  oasis: "oasis", lago: "water", agua: "water", rio: "water",
-  cristal: "crystal", cristales: "crystal",
-  espejismo: "mirage", mirage: "mirage",
-  luciernaga: "fireflies", luciernagas: "fireflies", fireflies: "fireflies",
-  totem: "totem", totems: "totem", totemes: "totem",
-  criatura: "creature", criaturas: "creature", monstruo: "creature",
-  nomada: "nomad", nomadas: "nomad", campamento: "tent",
-  estructura: "structure", torre: "tower", torres: "tower",
-  tormenta: "storm", rayo: "storm", rayos: "storm",
-  flora: "flora", planta: "flora", plantas: "flora", flor: "flora", flores: "flora",
-  portal: "portal", portales: "portal",
-  centinela: "sentinel", centinelas: "sentinel", guardian: "sentinel",
-  montana: "mountain", montanas: "mountain", montaña: "mountain", montañas: "mountain",
-  piramide: "pyramid", piramides: "pyramid", pirámide: "pyramid",
-  estatua: "statue", estatuas: "statue",
-  cascada: "waterfall", cascadas: "waterfall",
-  aurora: "aurora", boreal: "aurora",
-  cometa: "comet", cometas: "comet", meteoro: "comet",
-  calavera: "skull", craneo: "skull", huesos: "skull",
-  geiser: "geyser", geyser: "geyser",
-  nebulosa: "nebula", nebula: "nebula", estrellas: "nebula",
-  fogata: "campfire", fuego: "campfire", hoguera: "campfire",
-  tienda: "tent", carpa: "tent",
-  arbol: "tree", arboles: "tree", palmera: "tree", palma: "tree",
-  duna: "dune", dunas: "dune", arena: "dune",
-  puente: "bridge", puentes: "bridge",
-  monolito: "monolith", monolitos: "monolith",
-  hongo: "flora", hongos: "flora", seta: "flora",
-  // English keywords
-  rock: "rocks", rocks: "rocks", stone: "rocks",
-  cactus: "cacti", cacti: "cacti",
-  ruin: "ruins", ruins: "ruins", temple: "temple",
-  crystal: "crystal", crystals: "crystal",
-  water: "water", lake: "water", river: "water", pond: "water",
-  tree: "tree", trees: "tree", palm: "tree",
-  mountain: "mountain", mountains: "mountain",
-  pyramid: "pyramid", pyramids: "pyramid",
-  statue: "statue", statues: "statue",
-  waterfall: "waterfall", waterfalls: "waterfall",
-  comet: "comet", meteor: "comet",
-  skull: "skull", bones: "skull",
-  fire: "campfire", campfire: "campfire",
-  tent: "tent", camp: "tent",
-  storm: "storm", lightning: "storm",
-  creature: "creature", monster: "creature",
-  sentinel: "sentinel", guardian: "sentinel",
-  portal: "portal", gate: "portal",
-};
-
-function localGenerateFromPrompt(prompt) {
-  const lower = prompt.toLowerCase();
-  const entities = [];
-  const foundTypes = new Set();
-
-  for (const [keyword, entityType] of Object.entries(KEYWORD_MAP)) {
-    if (lower.includes(keyword) && !foundTypes.has(entityType)) {
-      foundTypes.add(entityType);
-      entities.push({
-        type: entityType,
-        quantity: 1 + Math.floor(Math.random() * 3),
-      });
-    }
-  }
-
-  // If no keywords found, generate random landscape
-  if (entities.length === 0) {
-    const randomTypes = ["rocks", "cacti", "mirage", "crystal", "flora", "dune"];
-    const count = 2 + Math.floor(Math.random() * 3);
-    for (let i = 0; i < count; i++) {
-      const type = randomTypes[Math.floor(Math.random() * randomTypes.length)];
-      if (!foundTypes.has(type)) {
-        foundTypes.add(type);
-        entities.push({ type, quantity: 1 + Math.floor(Math.random() * 2) });
-      }
-    }
-  }
-
-  return {
-    summary: "Paisaje generado localmente",
-    entities,
-  };
-}
-
-async function handlePrompt(prompt) {
+async function handlePrompt(prompt, { fresh = false } = {}) {
   if (!world) return;
   ui.clearPromptInput();
   ui.setStatus("Invocando paisaje...");
@@ -212,7 +208,26 @@ async function handlePrompt(prompt) {
   let summary = "";
   let tags = new Set();
   let entitiesPlan = [];
+  let operations = [];
+  let weather = null;
   let usedLocalFallback = false;
+  let cached = false;
+  // Streamed entities are placed as they arrive; the session records the
+  // whole plan as one undo step when the response ends
+  let session = null;
+  const streamed = [];
+  // Set when the server answered with a retried plan that supersedes the streamed entities
+  let replaceStreamed = false;
+
+  const placeStreamedEntity = (entity) => {
+    const [normalized] = normalizeEntities([entity]);
+    if (!normalized) return;
+    session = session || world.beginPromptPlan({ meta: { prompt } });
+    session.addEntity(normalized);
+    streamed.push(normalized);
+    const count = streamed.length;
+    ui.setStatus(`Invocando paisaje... ${count} ${count === 1 ? "elemento" : "elementos"}`);
+  };
 
   try {
     const response = await fetchWithTimeout(
@@ -220,16 +235,39 @@ async function handlePrompt(prompt) {
       {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ prompt }),
+        body: JSON.stringify({ prompt, scene: world.describeScene(), stream: true, fresh }),
       },
       API_CONFIG.FETCH_TIMEOUT_MS
     );
 
+    if (response.status === 429) {
+      const error = new Error("Demasiadas solicitudes");
+      error.status = 429;
+      error.retryAfter = Number(response.headers.get("retry-after")) || 0;
+      throw error;
+    }
+
     if (!response.ok) {
       throw new Error(`endpoint ${AI_ENDPOINT} sin respuesta`);
     }
-
-    const payload = await response.json();
+    cached = response.headers.get("x-plan-cache") === "hit";
+
+    let payload = null;
+    if ((response.headers.get("content-type") || "").includes("ndjson")) {
+      await readNdjson(response, (event) => {
+        if (event.type === "entity") placeStreamedEntity(event.entity);
+        if (event.type === "plan") {
+          payload = event.plan;
+          replaceStreamed = Boolean(event.replace);
+        }
+        if (event.type === "error") throw new Error(event.error);
+      }, { idleTimeoutMs: API_CONFIG.FETCH_TIMEOUT_MS });
+      if (!payload) {
+        throw new Error("La IA corto la respuesta");
+      }
+    } else {
+      payload = await response.json();
+    }
 
     // Check if API returned an error
     if (payload.error) {
@@ -243,9 +281,11 @@ async function handlePrompt(prompt) {
     const sanitized = normalizeTags(candidateTags);
     sanitized.forEach((tag) => tags.add(tag));
     entitiesPlan = normalizeEntities(candidateEntities);
+    operations = normalizeOperations(parsed.operations);
+    weather = typeof parsed.weather === "string" ? parsed.weather : null;
     summary = candidateSummary || summary;
 
-    if (!tags.size && !entitiesPlan.length) {
+    if (!tags.size && !entitiesPlan.length && !operations.length) {
       throw new Error("La IA no devolvio instrucciones");
     }
 
@@ -256,22 +296,126 @@ async function handlePrompt(prompt) {
     if (!summary && entitiesPlan.length) {
       summary = entitiesPlan.map((entity) => entity.type).join(" · ");
     }
-  } catch (error) {
-    console.error("AI request error, using local fallback:", error);
 
-    // Use local fallback generator
-    const local = localGenerateFromPrompt(prompt);
-    entitiesPlan = local.entities;
-    summary = local.summary;
-    usedLocalFallback = true;
+    if (!summary && operations.length) {
+      summary = "Escena editada";
+    }
+  } catch (error) {
+    if (error.status === 429) {
+      // Rate limited: the endpoint works, so wait instead of generating locally
+      const wait = error.retryAfter ? ` en ${error.retryAfter} s` : " en un momento";
+      ui.setLoading(false);
+      ui.restorePromptInput(prompt);
+      ui.setStatus("Demasiadas invocaciones seguidas");
+      ui.notify(`Limite de invocaciones alcanzado, prueba de nuevo${wait}`);
+      return;
+    }
+    if (streamed.length) {
+      // The stream broke after some entities were placed: keep those
+      console.error("AI stream interrupted:", error);
+      tags = new Set();
+      entitiesPlan = streamed;
+      operations = [];
+      summary = "Paisaje parcial";
+    } else {
+      console.error("AI request error, using local fallback:", error);
+
+      // Use the offline parser instead
+      const local = parsePrompt(prompt);
+      entitiesPlan = local.entities;
+      weather = local.weather;
+      summary = local.summary;
+      usedLocalFallback = true;
+    }
   }
 
   ui.setLoading(false);
-  world.applyPromptPlan({ tags, entities: entitiesPlan });
-  ui.pushPromptLog(prompt, summary + (usedLocalFallback ? " (local)" : ""));
+  const logSummary = summary + (usedLocalFallback ? " (local)" : cached ? " (cache)" : "");
+  const plan = { tags, entities: entitiesPlan, operations, weather };
+  const meta = { prompt, summary: logSummary };
+  if (session) {
+    session.finish(plan, { meta, replace: replaceStreamed });
+  } else {
+    world.applyPromptPlan(plan, { meta });
+  }
+  ui.pushPromptLog(prompt, logSummary);
   ui.setStatus(usedLocalFallback ? "Generado localmente (IA no disponible)" : "Paisaje actualizado");
 }
 
+// Render stats readout: F2, or ?debug in the URL to start with it open
+let debugTimer = null;
+
+function setDebugReadout(visible) {
+  clearInterval(debugTimer);
+  debugTimer = null;
+  ui.setDebugVisible(visible);
+  if (!visible) return;
+  const refresh = () => {
+    if (world) ui.setRenderStats({ ...world.getRenderStats(), seed: world.getSeed() });
+  };
+  refresh();
+  debugTimer = setInterval(refresh, UI_CONFIG.DEBUG_REFRESH_MS);
+}
+
+if (new URLSearchParams(window.location.search).has("debug")) {
+  setDebugReadout(true);
+}
+
+async function shareScene() {
+  if (!world) return;
+  const plans = world.getPlanHistory();
+  if (!plans.length) {
+    ui.notify("Invoca algun paisaje antes de compartir");
+    return;
+  }
+  const hash = await encodeShareState({
+    seed: world.getSeed(),
+    dayStage: currentDayStage,
+    weather: world.getWeather(),
+    plans,
+  });
+  const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+  window.history.replaceState(null, "", hash);
+  if (url.length > UI_CONFIG.MAX_SHARE_URL_LENGTH) {
+    ui.notify("El enlace es muy largo; algunos navegadores podrian recortarlo");
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    ui.notify("Enlace copiado al portapapeles");
+  } catch (error) {
+    window.prompt("Copia este enlace para compartir la escena", url);
+  }
+}
+
+function exportScene() {
+  if (!world) return;
+  const snapshot = world.exportWorld();
+  const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `universodu-escena-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  ui.notify(`Escena guardada (${snapshot.objects.length} objetos)`);
+}
+
+function importScene(text) {
+  if (!world) return;
+  try {
+    const { dayStage, count } = world.importWorld(text);
+    currentDayStage = dayStage;
+    ui.setDayStage(dayStage);
+    ui.pushPromptLog("Escena cargada", `${count} objetos restaurados`);
+    ui.setStatus("Escena restaurada");
+  } catch (error) {
+    console.error("Scene import error:", error);
+    ui.notify(error instanceof SyntaxError ? "El archivo no es JSON valido" : error.message);
+  }
+}
+
 window.addEventListener("error", (event) => {
   ui.showError("Error critico: " + (event.message || "Desconocido"));
 });
@@ -0,0 +1,186 @@
+/**
+ * Offline prompt parser for UniversoDu
+ * Turns a Spanish or English prompt into the same plan the AI endpoint returns
+ * when the endpoint is unavailable. Reads quantities ("tres piramides",
+ * "5 wolves"), colours ("rojas", "golden"), sizes ("enormes", "tiny"),
+ * negations ("sin lobos", "no trees") and weather words.
+ */
+
+import { createLexicon, foldText } from "../shared/lexicon.js";
+import { ENTITY_LEXICON, SIZE_LEXICON, entityLabel, normalizeEntity } from "../shared/schema.js";
+
+// Colour words (Spanish masculine singular and English) to CSS colours
+const COLOR_WORDS = {
+  rojo: "red", red: "red", carmesi: "crimson", crimson: "crimson", escarlata: "crimson",
+  azul: "royalblue", blue: "royalblue", celeste: "skyblue",
+  verde: "seagreen", green: "seagreen",
+  amarillo: "gold", yellow: "gold",
+  dorado: "goldenrod", golden: "goldenrod", gold: "goldenrod", oro: "goldenrod",
+  plateado: "silver", silver: "silver", plata: "silver",
+  negro: "#1b1b1f", black: "#1b1b1f", oscuro: "#2b2b33", dark: "#2b2b33",
+  blanco: "white", white: "white",
+  morado: "purple", purple: "purple", purpura: "purple", violeta: "violet", violet: "violet",
+  rosa: "hotpink", rosado: "hotpink", pink: "hotpink",
+  naranja: "darkorange", anaranjado: "darkorange", orange: "darkorange",
+  gris: "gray", gray: "gray", grey: "gray",
+  turquesa: "turquoise", turquoise: "turquoise", cian: "cyan", cyan: "cyan",
+  marron: "saddlebrown", cafe: "saddlebrown", brown: "saddlebrown",
+};
+
+const NUMBER_WORDS = {
+  un: 1, uno: 1, una: 1, one: 1, an: 1,
+  dos: 2, two: 2, par: 2, pair: 2, couple: 2,
+  tres: 3, three: 3, cuatro: 4, four: 4, cinco: 5, five: 5,
+  seis: 6, six: 6, siete: 7, seven: 7, ocho: 8, eight: 8,
+  nueve: 9, nine: 9, diez: 10, ten: 10, docena: 12, dozen: 12,
+  unos: 3, unas: 3, algunos: 3, algunas: 3, varios: 4, varias: 4, some: 3, several: 4, few: 3,
+  muchos: 6, muchas: 6, many: 6, lots: 6,
+};
+
+// Negation starts at these words and continues through "ni" / "or"
+const NEGATIONS = new Set(["sin", "no", "nada", "without", "not", "nor", "ni"]);
+const NEGATION_CONTINUES = new Set(["ni", "o", "or", "nor"]);
+// Words that close a phrase: modifiers after them belong to the next entity
+const SEPARATORS = new Set(["y", "e", "and", "con", "with", "pero", "but", "mas", "plus", ","]);
+
+const WEATHER_PHRASES = [
+  { words: ["tormenta de arena", "sand storm", "sandstorm", "tormenta arenosa"], weather: "tormenta_arena" },
+  { words: ["tormenta electrica", "thunderstorm", "relampagos", "truenos", "thunder"], weather: "tormenta_electrica" },
+  { words: ["lluvia", "lluvioso", "llueve", "rain", "rainy", "raining"], weather: "lluvia" },
+  { words: ["despejado", "soleado", "cielo claro", "clear sky", "sunny"], weather: "despejado" },
+];
+
+const COLOR_LEXICON = createLexicon(COLOR_WORDS);
+
+const FALLBACK_TYPES = ["rock", "cacti", "mirage", "crystal", "flora", "dune"];
+
+/**
+ * Build a plan from a prompt without the AI endpoint.
+ * Returns { summary, entities, weather } with entities normalized like the AI path.
+ */
+export function parsePrompt(prompt) {
+  const text = foldText(prompt);
+  const tokens = text.match(/[a-z]+|\d+|,/g) || [];
+  const entities = [];
+  const excluded = new Set();
+  let pending = {};
+  let current = null;
+  let negated = false;
+
+  const addEntity = ({ value: type, length }, index) => {
+    if (negated) {
+      excluded.add(type);
+      current = null;
+    } else {
+      current = { type, plural: /[^iu]s$/.test(tokens[index + length - 1]), ...pending };
+      entities.push(current);
+    }
+    pending = {};
+  };
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    // Exact and inflected words first, so "rojas" is a colour before it is a typo of "rocas"
+    const entity = ENTITY_LEXICON.match(tokens, i, { fuzzy: false });
+    if (entity) {
+      addEntity(entity, i);
+      i += entity.length - 1;
+      continue;
+    }
+    if (SEPARATORS.has(token)) {
+      current = null;
+      negated = false;
+      continue;
+    }
+    if (NEGATIONS.has(token)) {
+      negated = true;
+      current = null;
+      continue;
+    }
+    if (negated && NEGATION_CONTINUES.has(token)) continue;
+
+    let modifier = readModifier(token, false);
+    if (!modifier) {
+      // Nothing exact: a misspelled entity ("piramdes"), then a misspelled modifier
+      const misspelled = ENTITY_LEXICON.match(tokens, i);
+      if (misspelled) {
+        addEntity(misspelled, i);
+        continue;
+      }
+      modifier = readModifier(token, true);
+      if (!modifier) continue;
+    }
+    if (negated && !("quantity" in modifier)) continue;
+    // A quantity starts a new, affirmative phrase: "sin lobos 3 piramides"
+    negated = false;
+    // Quantities open a new phrase; colours and sizes right after an entity
+    // describe it ("piramides rojas"), otherwise the next one ("red pyramids")
+    if (current && !("quantity" in modifier) && !Object.keys(modifier).some((key) => key in current)) {
+      Object.assign(current, modifier);
+    } else {
+      current = null;
+      pending = { ...pending, ...modifier };
+    }
+  }
+
+  const merged = mergeEntities(entities.filter((entity) => !excluded.has(entity.type)));
+  const weather = readWeather(text);
+  if (!merged.length && !weather) {
+    return fallbackPlan(excluded);
+  }
+  return {
+    summary: merged.length ? describeEntities(merged) : "Cambio de clima",
+    entities: merged,
+    weather,
+  };
+}
+
+// { quantity } | { color } | { size } for a modifier word, or null
+function readModifier(token, fuzzy) {
+  if (/^\d+$/.test(token)) return { quantity: Number(token) };
+  if (token in NUMBER_WORDS) return fuzzy ? null : { quantity: NUMBER_WORDS[token] };
+  const color = COLOR_LEXICON.lookup(token, { fuzzy });
+  if (color) return { color };
+  const size = SIZE_LEXICON.lookup(token, { fuzzy });
+  return size ? { size } : null;
+}
+
+// "3 lobos ... y 2 lobos rojos": keep one entry per type and look, summing quantities
+function mergeEntities(entities) {
+  const byKey = new Map();
+  entities.forEach(({ plural, ...raw }) => {
+    const quantity = raw.quantity ?? (plural ? 3 : 1);
+    const key = `${raw.type}|${raw.color || ""}|${raw.size || ""}`;
+    const existing = byKey.get(key);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      byKey.set(key, { ...raw, quantity });
+    }
+  });
+  return Array.from(byKey.values()).map(normalizeEntity).filter(Boolean);
+}
+
+function readWeather(text) {
+  const found = WEATHER_PHRASES.find(({ words }) => words.some((word) => new RegExp(`\\b${word}\\b`).test(text)));
+  return found ? found.weather : null;
+}
+
+function describeEntities(entities) {
+  return entities
+    .map((entity) => `${entity.quantity > 1 ? `${entity.quantity} ` : ""}${entityLabel(entity.type).toLowerCase()}`)
+    .join(" · ");
+}
+
+// Nothing recognized: a small random desert, avoiding anything the prompt ruled out
+function fallbackPlan(excluded) {
+  const entities = [];
+  const count = 2 + Math.floor(Math.random() * 3);
+  for (let i = 0; i < count; i++) {
+    const type = FALLBACK_TYPES[Math.floor(Math.random() * FALLBACK_TYPES.length)];
+    if (!excluded.has(type) && !entities.some((entity) => entity.type === type)) {
+      entities.push(normalizeEntity({ type, quantity: 1 + Math.floor(Math.random() * 2) }));
+    }
+  }
+  return { summary: "Paisaje generado localmente", entities, weather: null };
+}
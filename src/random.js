@@ -0,0 +1,57 @@
+/**
+ * Seedable random numbers for UniversoDu
+ * Spawners take an rng function so that a plan plus a seed always rebuilds the same world
+ */
+
+/**
+ * Create a deterministic generator (mulberry32) returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  let state = toSeed(seed);
+  return function rng() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a fresh 32-bit seed from a generator (Math.random by default)
+ */
+export function randomSeed(rng = Math.random) {
+  return Math.floor(rng() * 4294967296) >>> 0;
+}
+
+/**
+ * Coerce a number or string into an unsigned 32-bit seed. A string of digits
+ * (such as ?seed=1234) is the number it spells, so the seed shown in the F2
+ * readout reopens the same world.
+ */
+export function toSeed(value) {
+  if (typeof value === "string" && /^\d+$/.test(value)) {
+    return toSeed(Number(value));
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return Math.floor(Math.abs(value)) >>> 0;
+  }
+  // FNV-1a over the string form
+  const text = String(value ?? "");
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Hash a seed and two integer coordinates into a float in [0, 1)
+ */
+export function hashNoise(seed, x, y) {
+  let h = toSeed(seed) ^ Math.imul(x | 0, 0x27d4eb2d) ^ Math.imul(y | 0, 0x165667b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
@@ -0,0 +1,114 @@
+/**
+ * Shareable world links for UniversoDu
+ * Encodes prompt history, plans (including deletions), seeds, day stage and weather into a compressed URL hash
+ */
+
+export const SHARE_HASH_PREFIX = "#w=";
+const SHARE_VERSION = 1;
+
+// Payload markers: "z" = deflate-raw compressed, "j" = plain JSON (no CompressionStream)
+const COMPRESSED_MARK = "z";
+const PLAIN_MARK = "j";
+
+function canCompress() {
+  return typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const padded = text.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((text.length + 3) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Encode a share state ({ seed, dayStage, weather, plans }) into a URL hash
+ */
+export async function encodeShareState({ seed, dayStage, weather, plans }) {
+  const payload = {
+    v: SHARE_VERSION,
+    seed,
+    day: dayStage,
+    ...(weather ? { weather } : {}),
+    plans: plans.map((entry) => ({
+      prompt: entry.meta?.prompt || "",
+      summary: entry.meta?.summary || "",
+      tags: entry.plan.tags,
+      entities: entry.plan.entities,
+      ...(entry.plan.remove?.length ? { remove: entry.plan.remove } : {}),
+      ...(entry.plan.operations?.length ? { operations: entry.plan.operations } : {}),
+      ...(entry.plan.weather ? { weather: entry.plan.weather } : {}),
+      ...(entry.plan.streamed ? { streamed: true } : {}),
+      seed: entry.seed,
+      origin: entry.origin.map((value) => Math.round(value * 100) / 100),
+    })),
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (canCompress()) {
+    const compressed = await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+    return `${SHARE_HASH_PREFIX}${COMPRESSED_MARK}${bytesToBase64Url(compressed)}`;
+  }
+  return `${SHARE_HASH_PREFIX}${PLAIN_MARK}${bytesToBase64Url(bytes)}`;
+}
+
+/**
+ * Decode a URL hash produced by encodeShareState; returns null when absent or invalid
+ */
+export async function decodeShareState(hash) {
+  if (typeof hash !== "string" || !hash.startsWith(SHARE_HASH_PREFIX)) return null;
+  const body = hash.slice(SHARE_HASH_PREFIX.length);
+  const mark = body.charAt(0);
+  try {
+    let bytes = base64UrlToBytes(body.slice(1));
+    if (mark === COMPRESSED_MARK) {
+      if (!canCompress()) return null;
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } else if (mark !== PLAIN_MARK) {
+      return null;
+    }
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    if (!payload || payload.v !== SHARE_VERSION || !Array.isArray(payload.plans)) return null;
+    return {
+      seed: payload.seed,
+      dayStage: typeof payload.day === "string" ? payload.day : "",
+      weather: typeof payload.weather === "string" ? payload.weather : "",
+      plans: payload.plans
+        .filter((entry) => entry && typeof entry === "object")
+        .map((entry) => ({
+          plan: {
+            tags: Array.isArray(entry.tags) ? entry.tags : [],
+            entities: Array.isArray(entry.entities) ? entry.entities : [],
+            remove: Array.isArray(entry.remove) ? entry.remove.map(String) : [],
+            ...(Array.isArray(entry.operations) ? { operations: entry.operations } : {}),
+            ...(typeof entry.weather === "string" ? { weather: entry.weather } : {}),
+            ...(entry.streamed === true ? { streamed: true } : {}),
+          },
+          seed: entry.seed,
+          origin: Array.isArray(entry.origin) ? entry.origin.slice(0, 2).map(Number) : undefined,
+          meta: {
+            prompt: typeof entry.prompt === "string" ? entry.prompt : "",
+            summary: typeof entry.summary === "string" ? entry.summary : "",
+          },
+        })),
+    };
+  } catch (error) {
+    console.error("Share link decode error:", error);
+    return null;
+  }
+}
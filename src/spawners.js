@@ -5,16 +5,20 @@
  */
 
 import * as THREE from "three";
-import { TAG_LABELS } from "./constants.js";
+import { TAG_LABELS, ALLOWED_TAGS, ENTITY_TYPES } from "./constants.js";
+import { ENTITY_TYPE_NAMES, defineEntityType, entityTypeInfo } from "../shared/schema.js";
+import { sharedGeometry } from "./instancing.js";
+import { createLevels } from "./lod.js";
+import { attachGait, createGait } from "./locomotion.js";
 
 // ========== Utility Functions ==========
 
-function randomInRange(min, max) {
-  return min + Math.random() * (max - min);
+function randomInRange(rng, min, max) {
+  return min + rng() * (max - min);
 }
 
-function randomColor() {
-  return new THREE.Color().setHSL(Math.random(), 0.6 + Math.random() * 0.4, 0.4 + Math.random() * 0.3);
+function randomColor(rng) {
+  return new THREE.Color().setHSL(rng(), 0.6 + rng() * 0.4, 0.4 + rng() * 0.3);
 }
 
 function readNumber(value, fallback) {
@@ -41,7 +45,7 @@ function specSizeToScale(sizeValue, explicitScale) {
   return 1;
 }
 
-function resolveColor(value) {
+export function resolveColor(value) {
   if (typeof value === "number" && Number.isFinite(value)) {
     return new THREE.Color(value);
   }
@@ -85,98 +89,109 @@ function createGlowMaterial(color, opacity = 0.6) {
   });
 }
 
+// ========== Shared Geometry ==========
+// Unit shapes scaled per piece, so every piece of one shape shares a geometry
+// and is drawn as an instance (see instancing.js)
+
+function unitSphere(widthSegments, heightSegments = widthSegments) {
+  return sharedGeometry(`sphere:${widthSegments}:${heightSegments}`, () =>
+    new THREE.SphereGeometry(1, widthSegments, heightSegments)
+  );
+}
+
+// Height 1, radii as given
+function unitCylinder(radiusTop, radiusBottom, segments) {
+  return sharedGeometry(`cylinder:${radiusTop}:${radiusBottom}:${segments}`, () =>
+    new THREE.CylinderGeometry(radiusTop, radiusBottom, 1, segments)
+  );
+}
+
+function unitCone(radius, segments) {
+  return sharedGeometry(`cone:${radius}:${segments}`, () => new THREE.ConeGeometry(radius, 1, segments));
+}
+
+const ROCK_SHAPES = [
+  () => sharedGeometry("dodecahedron", () => new THREE.DodecahedronGeometry(1, 0)),
+  () => sharedGeometry("icosahedron", () => new THREE.IcosahedronGeometry(1, 0)),
+  () => sharedGeometry("octahedron", () => new THREE.OctahedronGeometry(1, 0)),
+];
+
 // ========== BASIC SPAWNERS ==========
 
-export function spawnCacti(center) {
+export function spawnCacti(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const mat = createStandardMaterial(0x1e8c4e, { emissive: 0x062515, roughness: 0.6 });
-  const count = 3 + Math.floor(Math.random() * 4);
+  const count = 3 + Math.floor(rng() * 4);
 
   for (let i = 0; i < count; i++) {
-    const scale = randomInRange(0.6, 1.2);
+    const scale = randomInRange(rng, 0.6, 1.2);
     const cactus = new THREE.Group();
 
     // Main stem
-    const stemHeight = randomInRange(6, 12) * scale;
-    const stem = new THREE.Mesh(
-      new THREE.CylinderGeometry(0.6 * scale, 0.8 * scale, stemHeight, 12),
-      mat
-    );
+    const stemHeight = randomInRange(rng, 6, 12) * scale;
+    const stem = new THREE.Mesh(unitCylinder(0.6, 0.8, 12), mat);
+    stem.scale.set(scale, stemHeight, scale);
     stem.castShadow = true;
     stem.position.y = stemHeight / 2;
     cactus.add(stem);
 
     // Branches
-    const branchCount = Math.floor(Math.random() * 3) + 1;
+    const branchCount = Math.floor(rng() * 3) + 1;
     for (let b = 0; b < branchCount; b++) {
-      const branchHeight = randomInRange(2, 4) * scale;
-      const branch = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.3 * scale, 0.4 * scale, branchHeight, 10),
-        mat
-      );
+      const branchHeight = randomInRange(rng, 2, 4) * scale;
+      const branch = new THREE.Mesh(unitCylinder(0.3, 0.4, 10), mat);
+      branch.scale.set(scale, branchHeight, scale);
       const side = b % 2 === 0 ? 1 : -1;
-      branch.position.set(side * 1.2 * scale, stemHeight * randomInRange(0.3, 0.6), 0);
+      branch.position.set(side * 1.2 * scale, stemHeight * randomInRange(rng, 0.3, 0.6), 0);
       branch.rotation.z = side * Math.PI / 3;
       cactus.add(branch);
     }
 
     // Glowing top
-    const glow = new THREE.Mesh(
-      new THREE.SphereGeometry(0.4 * scale, 10, 10),
-      createGlowMaterial(0xfff7d6, 0.9)
-    );
+    const glow = new THREE.Mesh(unitSphere(10), createGlowMaterial(0xfff7d6, 0.9));
+    glow.scale.setScalar(0.4 * scale);
     glow.position.y = stemHeight + 0.3 * scale;
     cactus.add(glow);
 
     // Flowers
-    if (Math.random() > 0.5) {
-      const flower = new THREE.Mesh(
-        new THREE.SphereGeometry(0.3 * scale, 8, 8),
-        createGlowMaterial(Math.random() > 0.5 ? 0xff69b4 : 0xffff00, 0.9)
-      );
-      flower.position.set(randomInRange(-0.5, 0.5) * scale, stemHeight * 0.7, randomInRange(-0.5, 0.5) * scale);
+    if (rng() > 0.5) {
+      const flower = new THREE.Mesh(unitSphere(8), createGlowMaterial(rng() > 0.5 ? 0xff69b4 : 0xffff00, 0.9));
+      flower.scale.setScalar(0.3 * scale);
+      flower.position.set(randomInRange(rng, -0.5, 0.5) * scale, stemHeight * 0.7, randomInRange(rng, -0.5, 0.5) * scale);
       cactus.add(flower);
     }
 
-    const offset = new THREE.Vector3(randomInRange(-20, 20), 0, randomInRange(-20, 20));
+    const offset = new THREE.Vector3(randomInRange(rng, -20, 20), 0, randomInRange(rng, -20, 20));
     cactus.position.copy(center).add(offset);
     group.add(cactus);
   }
   return group;
 }
 
-export function spawnRocks(center) {
+export function spawnRocks(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
-  const count = 4 + Math.floor(Math.random() * 6);
+  const count = 4 + Math.floor(rng() * 6);
 
   for (let i = 0; i < count; i++) {
-    const size = randomInRange(2, 10);
-    const color = new THREE.Color().setHSL(0.08, randomInRange(0.1, 0.3), randomInRange(0.3, 0.5));
+    const size = randomInRange(rng, 2, 10);
+    const color = new THREE.Color().setHSL(0.08, randomInRange(rng, 0.1, 0.3), randomInRange(rng, 0.3, 0.5));
     const mat = createStandardMaterial(color, { roughness: 1, flatShading: true });
 
     // Use different geometries for variety
-    const geoType = Math.floor(Math.random() * 3);
-    let geo;
-    if (geoType === 0) {
-      geo = new THREE.DodecahedronGeometry(size, 0);
-    } else if (geoType === 1) {
-      geo = new THREE.IcosahedronGeometry(size, 0);
-    } else {
-      geo = new THREE.OctahedronGeometry(size, 0);
-    }
-
-    const rock = new THREE.Mesh(geo, mat);
+    const geoType = Math.floor(rng() * 3);
+    const rock = new THREE.Mesh(ROCK_SHAPES[geoType](), mat);
+    rock.scale.setScalar(size);
     rock.castShadow = true;
-    rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+    rock.rotation.set(rng() * Math.PI, rng() * Math.PI, rng() * Math.PI);
 
-    const offset = new THREE.Vector3(randomInRange(-30, 30), size * 0.3, randomInRange(-30, 30));
+    const offset = new THREE.Vector3(randomInRange(rng, -30, 30), size * 0.3, randomInRange(rng, -30, 30));
     rock.position.copy(center).add(offset);
     group.add(rock);
   }
   return group;
 }
 
-export function spawnRuins(center) {
+export function spawnRuins(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const mat = createStandardMaterial(0xcdb293, { roughness: 0.9, flatShading: true });
   const darkMat = createStandardMaterial(0x8b7355, { roughness: 0.9 });
@@ -191,7 +206,7 @@ export function spawnRuins(center) {
   for (let i = 0; i < 8; i++) {
     const angle = (i / 8) * Math.PI * 2;
     const radius = 12;
-    const height = Math.random() > 0.3 ? randomInRange(8, 18) : randomInRange(3, 6);
+    const height = rng() > 0.3 ? randomInRange(rng, 8, 18) : randomInRange(rng, 3, 6);
     const col = new THREE.Mesh(new THREE.CylinderGeometry(1.2, 1.5, height, 8), mat);
     col.castShadow = true;
     col.position.set(
@@ -222,22 +237,22 @@ export function spawnRuins(center) {
   // Fallen stones
   for (let i = 0; i < 5; i++) {
     const stone = new THREE.Mesh(
-      new THREE.BoxGeometry(randomInRange(2, 4), randomInRange(1, 2), randomInRange(2, 4)),
+      new THREE.BoxGeometry(randomInRange(rng, 2, 4), randomInRange(rng, 1, 2), randomInRange(rng, 2, 4)),
       mat
     );
-    stone.rotation.set(Math.random() * 0.5, Math.random() * Math.PI, Math.random() * 0.5);
-    stone.position.copy(center).add(new THREE.Vector3(randomInRange(-15, 15), 0.5, randomInRange(-15, 15)));
+    stone.rotation.set(rng() * 0.5, rng() * Math.PI, rng() * 0.5);
+    stone.position.copy(center).add(new THREE.Vector3(randomInRange(rng, -15, 15), 0.5, randomInRange(rng, -15, 15)));
     group.add(stone);
   }
 
   return group;
 }
 
-export function spawnOasis(center) {
+export function spawnOasis(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
 
   // Water pool with animated look
-  const poolRadius = randomInRange(12, 22);
+  const poolRadius = randomInRange(rng, 12, 22);
   const waterMat = new THREE.MeshPhongMaterial({
     color: 0x3ac9e8,
     transparent: true,
@@ -267,11 +282,11 @@ export function spawnOasis(center) {
   group.add(mist);
 
   // Palm trees around
-  const palmCount = Math.floor(randomInRange(4, 8));
+  const palmCount = Math.floor(randomInRange(rng, 4, 8));
   for (let i = 0; i < palmCount; i++) {
-    const palm = createPalmTree(randomInRange(0.8, 1.2));
-    const angle = (i / palmCount) * Math.PI * 2 + Math.random() * 0.3;
-    const dist = poolRadius + randomInRange(2, 6);
+    const palm = createPalmTree(randomInRange(rng, 0.8, 1.2), rng);
+    const angle = (i / palmCount) * Math.PI * 2 + rng() * 0.3;
+    const dist = poolRadius + randomInRange(rng, 2, 6);
     palm.position.set(
       center.x + Math.cos(angle) * dist,
       0,
@@ -282,9 +297,9 @@ export function spawnOasis(center) {
 
   // Grass patches
   for (let i = 0; i < 20; i++) {
-    const grass = createGrassPatch();
-    const angle = Math.random() * Math.PI * 2;
-    const dist = poolRadius + randomInRange(-2, 8);
+    const grass = createGrassPatch(rng);
+    const angle = rng() * Math.PI * 2;
+    const dist = poolRadius + randomInRange(rng, -2, 8);
     grass.position.set(
       center.x + Math.cos(angle) * dist,
       0.1,
@@ -296,7 +311,7 @@ export function spawnOasis(center) {
   return group;
 }
 
-function createPalmTree(scale = 1) {
+function createPalmTree(scale = 1, rng = Math.random) {
   const tree = new THREE.Group();
   const trunkMat = createStandardMaterial(0x8b6914, { roughness: 0.9 });
   const leavesMat = createStandardMaterial(0x2d8c4e, { roughness: 0.7 });
@@ -309,7 +324,7 @@ function createPalmTree(scale = 1) {
   );
   trunk.castShadow = true;
   trunk.position.y = trunkHeight / 2;
-  trunk.rotation.z = Math.random() * 0.15;
+  trunk.rotation.z = rng() * 0.15;
   tree.add(trunk);
 
   // Leaves with animation
@@ -318,9 +333,9 @@ function createPalmTree(scale = 1) {
   leafGroup.userData = {
     animated: true,
     animationType: "sway",
-    swaySpeed: 0.8 + Math.random() * 0.4,
+    swaySpeed: 0.8 + rng() * 0.4,
     swayAmount: 0.06,
-    phase: Math.random() * Math.PI * 2,
+    phase: rng() * Math.PI * 2,
     baseRotation: { x: 0, y: 0, z: 0 },
   };
   tree.add(leafGroup);
@@ -343,7 +358,7 @@ function createPalmTree(scale = 1) {
   }
 
   // Coconuts
-  if (Math.random() > 0.5) {
+  if (rng() > 0.5) {
     for (let i = 0; i < 3; i++) {
       const coconut = new THREE.Mesh(
         new THREE.SphereGeometry(0.3 * scale, 8, 8),
@@ -358,10 +373,55 @@ function createPalmTree(scale = 1) {
     }
   }
 
+  return createLevels({
+    high: tree,
+    medium: createPalmTreeMedium(scale, trunk.rotation.z, leafGroup.userData, trunkMat, leavesMat),
+    low: createPalmTreeLow(scale, trunk.rotation.z, trunkMat, leavesMat),
+  });
+}
+
+// Fewer segments and leaves, still swaying like the full tree
+function createPalmTreeMedium(scale, tilt, sway, trunkMat, leavesMat) {
+  const tree = new THREE.Group();
+  const trunkHeight = 12 * scale;
+  const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.4 * scale, 0.7 * scale, trunkHeight, 5), trunkMat);
+  trunk.castShadow = true;
+  trunk.position.y = trunkHeight / 2;
+  trunk.rotation.z = tilt;
+  tree.add(trunk);
+
+  const leafGroup = new THREE.Group();
+  leafGroup.position.y = trunkHeight;
+  leafGroup.userData = { ...sway };
+  tree.add(leafGroup);
+  const leafGeometry = new THREE.ConeGeometry(4 * scale, 6 * scale, 3, 1);
+  for (let i = 0; i < 5; i++) {
+    const leaf = new THREE.Mesh(leafGeometry, leavesMat);
+    const angle = (i / 5) * Math.PI * 2;
+    leaf.position.set(Math.cos(angle) * 1.5 * scale, scale, Math.sin(angle) * 1.5 * scale);
+    leaf.rotation.x = Math.PI / 3;
+    leaf.rotation.y = angle;
+    leafGroup.add(leaf);
+  }
+  return tree;
+}
+
+// A trunk and a flat crown
+function createPalmTreeLow(scale, tilt, trunkMat, leavesMat) {
+  const tree = new THREE.Group();
+  const trunkHeight = 12 * scale;
+  const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.4 * scale, 0.7 * scale, trunkHeight, 4), trunkMat);
+  trunk.position.y = trunkHeight / 2;
+  trunk.rotation.z = tilt;
+  tree.add(trunk);
+  const crown = new THREE.Mesh(new THREE.SphereGeometry(5 * scale, 6, 3), leavesMat);
+  crown.scale.y = 0.35;
+  crown.position.y = trunkHeight + scale;
+  tree.add(crown);
   return tree;
 }
 
-function createGrassPatch() {
+function createGrassPatch(rng = Math.random) {
   const group = new THREE.Group();
   const grassMat = createStandardMaterial(0x4a7c23, { roughness: 0.8 });
 
@@ -369,33 +429,31 @@ function createGrassPatch() {
   group.userData = {
     animated: true,
     animationType: "sway",
-    swaySpeed: 1.5 + Math.random() * 0.5,
+    swaySpeed: 1.5 + rng() * 0.5,
     swayAmount: 0.15,
-    phase: Math.random() * Math.PI * 2,
+    phase: rng() * Math.PI * 2,
     baseRotation: { x: 0, y: 0, z: 0 },
   };
 
   for (let i = 0; i < 8; i++) {
-    const blade = new THREE.Mesh(
-      new THREE.ConeGeometry(0.05, randomInRange(0.3, 0.8), 4),
-      grassMat
-    );
-    blade.position.set(randomInRange(-0.3, 0.3), 0.2, randomInRange(-0.3, 0.3));
-    blade.rotation.z = randomInRange(-0.2, 0.2);
+    const blade = new THREE.Mesh(unitCone(0.05, 4), grassMat);
+    blade.scale.y = randomInRange(rng, 0.3, 0.8);
+    blade.position.set(randomInRange(rng, -0.3, 0.3), 0.2, randomInRange(rng, -0.3, 0.3));
+    blade.rotation.z = randomInRange(rng, -0.2, 0.2);
     group.add(blade);
   }
 
   return group;
 }
 
-export function spawnCrystals(center) {
+export function spawnCrystals(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
-  const count = randomInRange(5, 12);
+  const count = randomInRange(rng, 5, 12);
 
   // Crystal cluster
   for (let i = 0; i < count; i++) {
-    const height = randomInRange(4, 16);
-    const hue = randomInRange(0.5, 0.6); // Cyan to blue range
+    const height = randomInRange(rng, 4, 16);
+    const hue = randomInRange(rng, 0.5, 0.6); // Cyan to blue range
     const color = new THREE.Color().setHSL(hue, 0.8, 0.6);
 
     const mat = createStandardMaterial(color, {
@@ -407,15 +465,15 @@ export function spawnCrystals(center) {
     });
 
     const crystal = new THREE.Mesh(
-      new THREE.ConeGeometry(randomInRange(0.8, 2), height, 6),
+      new THREE.ConeGeometry(randomInRange(rng, 0.8, 2), height, 6),
       mat
     );
     crystal.castShadow = true;
 
-    const offset = new THREE.Vector3(randomInRange(-12, 12), height / 2, randomInRange(-12, 12));
+    const offset = new THREE.Vector3(randomInRange(rng, -12, 12), height / 2, randomInRange(rng, -12, 12));
     crystal.position.copy(center).add(offset);
-    crystal.rotation.z = randomInRange(-0.3, 0.3);
-    crystal.rotation.x = randomInRange(-0.2, 0.2);
+    crystal.rotation.z = randomInRange(rng, -0.3, 0.3);
+    crystal.rotation.x = randomInRange(rng, -0.2, 0.2);
     group.add(crystal);
   }
 
@@ -432,14 +490,14 @@ export function spawnCrystals(center) {
     baseScale: 1,
     pulseSpeed: 1.2,
     pulseAmount: 0.15,
-    phase: Math.random() * Math.PI * 2,
+    phase: rng() * Math.PI * 2,
   };
   group.add(glow);
 
   return group;
 }
 
-export function spawnMirage(center) {
+export function spawnMirage(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
 
   // Multiple floating rings
@@ -465,7 +523,7 @@ export function spawnMirage(center) {
     baseY: 8,
     floatSpeed: 0.8,
     floatAmount: 1.5,
-    phase: Math.random() * Math.PI * 2,
+    phase: rng() * Math.PI * 2,
   };
   group.add(orb);
 
@@ -481,7 +539,7 @@ export function spawnMirage(center) {
     baseScale: 1,
     pulseSpeed: 1.5,
     pulseAmount: 0.2,
-    phase: Math.random() * Math.PI * 2,
+    phase: rng() * Math.PI * 2,
   };
   group.add(innerGlow);
 
@@ -490,10 +548,10 @@ export function spawnMirage(center) {
   const particleGeo = new THREE.BufferGeometry();
   const positions = new Float32Array(particleCount * 3);
   for (let i = 0; i < particleCount; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = randomInRange(5, 20);
+    const angle = rng() * Math.PI * 2;
+    const radius = randomInRange(rng, 5, 20);
     positions[i * 3] = center.x + Math.cos(angle) * radius;
-    positions[i * 3 + 1] = randomInRange(3, 15);
+    positions[i * 3 + 1] = randomInRange(rng, 3, 15);
     positions[i * 3 + 2] = center.z + Math.sin(angle) * radius;
   }
   particleGeo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
@@ -506,56 +564,44 @@ export function spawnMirage(center) {
   return group;
 }
 
-export function spawnFireflies(center) {
+// Each firefly is a small glowing sphere, drawn as an instance of one batch
+export function spawnFireflies(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
-  const count = randomInRange(60, 120);
-  const geometry = new THREE.BufferGeometry();
-  const positions = new Float32Array(count * 3);
-  const colors = new Float32Array(count * 3);
+  const count = randomInRange(rng, 60, 120);
 
   for (let i = 0; i < count; i++) {
-    positions[i * 3] = center.x + randomInRange(-25, 25);
-    positions[i * 3 + 1] = randomInRange(2, 18);
-    positions[i * 3 + 2] = center.z + randomInRange(-25, 25);
+    const x = center.x + randomInRange(rng, -25, 25);
+    const y = randomInRange(rng, 2, 18);
+    const z = center.z + randomInRange(rng, -25, 25);
 
     // Varying colors from yellow to green
-    const color = new THREE.Color().setHSL(randomInRange(0.15, 0.35), 1, 0.6);
-    colors[i * 3] = color.r;
-    colors[i * 3 + 1] = color.g;
-    colors[i * 3 + 2] = color.b;
+    const color = new THREE.Color().setHSL(randomInRange(rng, 0.15, 0.35), 1, 0.6);
+    const firefly = new THREE.Mesh(unitSphere(6, 4), createGlowMaterial(color, 0.9));
+    firefly.position.set(x, y, z);
+    firefly.userData.noCollide = true;
+    group.add(firefly);
   }
 
-  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
-
-  const fireflies = new THREE.Points(
-    geometry,
-    new THREE.PointsMaterial({
-      size: randomInRange(0.5, 1),
-      transparent: true,
-      opacity: 0.9,
-      vertexColors: true,
-    })
-  );
-  group.add(fireflies);
+  const radius = randomInRange(rng, 0.5, 1) / 2;
+  group.children.forEach((firefly) => firefly.scale.setScalar(radius));
 
   return group;
 }
 
-export function spawnTotems(center) {
+export function spawnTotems(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
-  const count = randomInRange(3, 6);
+  const count = randomInRange(rng, 3, 6);
 
   for (let i = 0; i < count; i++) {
     const totem = new THREE.Group();
-    const height = randomInRange(8, 18);
-    const segments = Math.floor(randomInRange(3, 6));
+    const height = randomInRange(rng, 8, 18);
+    const segments = Math.floor(randomInRange(rng, 3, 6));
 
     // Stacked segments with faces
     for (let s = 0; s < segments; s++) {
       const segHeight = height / segments;
-      const segWidth = randomInRange(1.5, 2.5) * (1 - s * 0.1);
-      const hue = randomInRange(0.05, 0.15);
+      const segWidth = randomInRange(rng, 1.5, 2.5) * (1 - s * 0.1);
+      const hue = randomInRange(rng, 0.05, 0.15);
       const color = new THREE.Color().setHSL(hue, 0.6, 0.5);
 
       const segment = new THREE.Mesh(
@@ -566,7 +612,7 @@ export function spawnTotems(center) {
       segment.position.y = s * segHeight + segHeight / 2;
 
       // Add carved face details
-      if (Math.random() > 0.3) {
+      if (rng() > 0.3) {
         const eye1 = new THREE.Mesh(
           new THREE.SphereGeometry(0.2, 8, 8),
           createGlowMaterial(0xff6600, 0.9)
@@ -591,13 +637,13 @@ export function spawnTotems(center) {
     totem.add(crown);
 
     const angle = (i / count) * Math.PI * 2;
-    const radius = randomInRange(6, 12);
+    const radius = randomInRange(rng, 6, 12);
     totem.position.set(
       center.x + Math.cos(angle) * radius,
       0,
       center.z + Math.sin(angle) * radius
     );
-    totem.rotation.y = Math.random() * Math.PI * 2;
+    totem.rotation.y = rng() * Math.PI * 2;
 
     group.add(totem);
   }
@@ -605,13 +651,13 @@ export function spawnTotems(center) {
   return group;
 }
 
-export function spawnCreatures(center) {
+export function spawnCreatures(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
-  const count = randomInRange(3, 7);
+  const count = randomInRange(rng, 3, 7);
 
   for (let i = 0; i < count; i++) {
-    const creature = createCreature();
-    const offset = new THREE.Vector3(randomInRange(-25, 25), 0, randomInRange(-25, 25));
+    const creature = createCreature(rng);
+    const offset = new THREE.Vector3(randomInRange(rng, -25, 25), 0, randomInRange(rng, -25, 25));
     creature.position.copy(center).add(offset);
     group.add(creature);
   }
@@ -619,13 +665,13 @@ export function spawnCreatures(center) {
   return group;
 }
 
-function createCreature() {
+function createCreature(rng = Math.random) {
   const creature = new THREE.Group();
-  const bodyColor = new THREE.Color().setHSL(randomInRange(0.7, 0.9), 0.5, 0.6);
+  const bodyColor = new THREE.Color().setHSL(randomInRange(rng, 0.7, 0.9), 0.5, 0.6);
   const bodyMat = createStandardMaterial(bodyColor, { emissive: bodyColor.clone().multiplyScalar(0.2), metalness: 0.3 });
 
   // Body
-  const bodySize = randomInRange(1.5, 3);
+  const bodySize = randomInRange(rng, 1.5, 3);
   const body = new THREE.Mesh(new THREE.SphereGeometry(bodySize, 18, 18), bodyMat);
   body.castShadow = true;
   body.position.y = bodySize;
@@ -678,7 +724,7 @@ function createCreature() {
 
   // Legs
   const legMat = createStandardMaterial(0xddbbaa);
-  const legCount = Math.floor(randomInRange(4, 8));
+  const legCount = Math.floor(randomInRange(rng, 4, 8));
   for (let l = 0; l < legCount; l++) {
     const leg = new THREE.Mesh(
       new THREE.CylinderGeometry(0.1, 0.2, bodySize * 1.5, 6),
@@ -698,15 +744,15 @@ function createCreature() {
   return creature;
 }
 
-export function spawnNomads(center) {
+export function spawnNomads(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
 
   // Create a caravan camp
-  const tentCount = randomInRange(2, 5);
+  const tentCount = randomInRange(rng, 2, 5);
   for (let i = 0; i < tentCount; i++) {
     const tent = createTent();
     const angle = (i / tentCount) * Math.PI * 1.5 - Math.PI / 4;
-    const radius = randomInRange(8, 15);
+    const radius = randomInRange(rng, 8, 15);
     tent.position.set(
       center.x + Math.cos(angle) * radius,
       0,
@@ -723,11 +769,11 @@ export function spawnNomads(center) {
 
   // Scattered items
   for (let i = 0; i < 8; i++) {
-    const item = Math.random() > 0.5 ? createPot() : createCrate();
+    const item = rng() > 0.5 ? createPot() : createCrate();
     item.position.set(
-      center.x + randomInRange(-12, 12),
+      center.x + randomInRange(rng, -12, 12),
       0,
-      center.z + randomInRange(-12, 12)
+      center.z + randomInRange(rng, -12, 12)
     );
     group.add(item);
   }
@@ -859,13 +905,13 @@ function createCrate() {
   return crate;
 }
 
-export function spawnStructures(center) {
+export function spawnStructures(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
-  const count = randomInRange(2, 5);
+  const count = randomInRange(rng, 2, 5);
 
   for (let i = 0; i < count; i++) {
-    const structure = createTower();
-    const offset = new THREE.Vector3(randomInRange(-40, 40), 0, randomInRange(-40, 40));
+    const structure = createTower(rng);
+    const offset = new THREE.Vector3(randomInRange(rng, -40, 40), 0, randomInRange(rng, -40, 40));
     structure.position.copy(center).add(offset);
     group.add(structure);
   }
@@ -873,10 +919,10 @@ export function spawnStructures(center) {
   return group;
 }
 
-function createTower() {
+function createTower(rng = Math.random) {
   const tower = new THREE.Group();
-  const height = randomInRange(20, 45);
-  const baseRadius = randomInRange(2, 4);
+  const height = randomInRange(rng, 20, 45);
+  const baseRadius = randomInRange(rng, 2, 4);
   const color = new THREE.Color().setHSL(0.7, 0.4, 0.7);
 
   const mat = createStandardMaterial(color, {
@@ -942,10 +988,38 @@ function createTower() {
     }
   }
 
+  return createLevels({
+    high: tower,
+    medium: createTowerMedium(height, baseRadius, mat),
+    low: createTowerLow(height, baseRadius, mat),
+  });
+}
+
+// Body, spire and halo without balconies or windows
+function createTowerMedium(height, baseRadius, mat) {
+  const tower = createTowerLow(height, baseRadius, mat, 6);
+  const halo = new THREE.Mesh(
+    new THREE.TorusGeometry(baseRadius * 1.5, 0.2, 4, 16),
+    createGlowMaterial(0xffea8a, 0.8)
+  );
+  halo.rotation.x = Math.PI / 2;
+  halo.position.y = height + height * 0.25;
+  tower.add(halo);
+  return tower;
+}
+
+function createTowerLow(height, baseRadius, mat, segments = 4) {
+  const tower = new THREE.Group();
+  const body = new THREE.Mesh(new THREE.CylinderGeometry(baseRadius * 0.7, baseRadius, height, segments, 1), mat);
+  body.position.y = height / 2;
+  tower.add(body);
+  const spire = new THREE.Mesh(new THREE.ConeGeometry(baseRadius * 0.5, height * 0.2, segments), mat);
+  spire.position.y = height + height * 0.1;
+  tower.add(spire);
   return tower;
 }
 
-export function spawnStorm(center) {
+export function spawnStorm(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
 
   // Tornado funnel
@@ -970,13 +1044,13 @@ export function spawnStorm(center) {
 
   // Lightning bolts
   for (let i = 0; i < 3; i++) {
-    const lightning = createLightning();
+    const lightning = createLightning(rng);
     lightning.position.copy(center).add(new THREE.Vector3(
-      randomInRange(-20, 20),
-      randomInRange(30, 60),
-      randomInRange(-20, 20)
+      randomInRange(rng, -20, 20),
+      randomInRange(rng, 30, 60),
+      randomInRange(rng, -20, 20)
     ));
-    lightning.rotation.z = randomInRange(-0.5, 0.5);
+    lightning.rotation.z = randomInRange(rng, -0.5, 0.5);
     group.add(lightning);
   }
 
@@ -985,10 +1059,10 @@ export function spawnStorm(center) {
   const debrisGeo = new THREE.BufferGeometry();
   const debrisPos = new Float32Array(debrisCount * 3);
   for (let i = 0; i < debrisCount; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = randomInRange(5, 30);
+    const angle = rng() * Math.PI * 2;
+    const radius = randomInRange(rng, 5, 30);
     debrisPos[i * 3] = center.x + Math.cos(angle) * radius;
-    debrisPos[i * 3 + 1] = randomInRange(5, 70);
+    debrisPos[i * 3 + 1] = randomInRange(rng, 5, 70);
     debrisPos[i * 3 + 2] = center.z + Math.sin(angle) * radius;
   }
   debrisGeo.setAttribute("position", new THREE.BufferAttribute(debrisPos, 3));
@@ -1001,7 +1075,7 @@ export function spawnStorm(center) {
   return group;
 }
 
-function createLightning() {
+function createLightning(rng = Math.random) {
   const lightning = new THREE.Group();
   const mat = createGlowMaterial(0xffffff, 0.95);
 
@@ -1010,7 +1084,7 @@ function createLightning() {
   let lastPoint = new THREE.Vector3(0, 0, 0);
 
   for (let i = 0; i < segments; i++) {
-    const length = randomInRange(5, 15);
+    const length = randomInRange(rng, 5, 15);
     const bolt = new THREE.Mesh(
       new THREE.CylinderGeometry(0.2, 0.4, length, 4),
       mat
@@ -1018,24 +1092,24 @@ function createLightning() {
 
     bolt.position.copy(lastPoint);
     bolt.position.y -= length / 2;
-    bolt.rotation.z = randomInRange(-0.5, 0.5);
-    bolt.rotation.x = randomInRange(-0.3, 0.3);
+    bolt.rotation.z = randomInRange(rng, -0.5, 0.5);
+    bolt.rotation.x = randomInRange(rng, -0.3, 0.3);
     lightning.add(bolt);
 
     lastPoint = new THREE.Vector3(
-      lastPoint.x + randomInRange(-3, 3),
+      lastPoint.x + randomInRange(rng, -3, 3),
       lastPoint.y - length,
-      lastPoint.z + randomInRange(-3, 3)
+      lastPoint.z + randomInRange(rng, -3, 3)
     );
 
     // Branch
-    if (Math.random() > 0.6) {
+    if (rng() > 0.6) {
       const branch = new THREE.Mesh(
         new THREE.CylinderGeometry(0.1, 0.2, length * 0.6, 4),
         mat
       );
       branch.position.copy(bolt.position);
-      branch.rotation.z = randomInRange(-1, 1);
+      branch.rotation.z = randomInRange(rng, -1, 1);
       lightning.add(branch);
     }
   }
@@ -1043,30 +1117,30 @@ function createLightning() {
   return lightning;
 }
 
-export function spawnFlora(center) {
+export function spawnFlora(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
-  const count = randomInRange(15, 30);
+  const count = randomInRange(rng, 15, 30);
 
   for (let i = 0; i < count; i++) {
-    const plantType = Math.floor(Math.random() * 4);
+    const plantType = Math.floor(rng() * 4);
     let plant;
 
     switch (plantType) {
       case 0:
-        plant = createFlower();
+        plant = createFlower(rng);
         break;
       case 1:
-        plant = createBush();
+        plant = createBush(rng);
         break;
       case 2:
-        plant = createMushroom();
+        plant = createMushroom(rng);
         break;
       default:
-        plant = createGrassPatch();
+        plant = createGrassPatch(rng);
         break;
     }
 
-    const offset = new THREE.Vector3(randomInRange(-25, 25), 0, randomInRange(-25, 25));
+    const offset = new THREE.Vector3(randomInRange(rng, -25, 25), 0, randomInRange(rng, -25, 25));
     plant.position.copy(center).add(offset);
     group.add(plant);
   }
@@ -1074,76 +1148,69 @@ export function spawnFlora(center) {
   return group;
 }
 
-function createFlower() {
+function createFlower(rng = Math.random) {
   const flower = new THREE.Group();
-  const petalColor = new THREE.Color().setHSL(Math.random(), 0.8, 0.6);
+  const petalColor = new THREE.Color().setHSL(rng(), 0.8, 0.6);
 
   // Add sway animation
   flower.userData = {
     animated: true,
     animationType: "sway",
-    swaySpeed: 1.2 + Math.random() * 0.6,
+    swaySpeed: 1.2 + rng() * 0.6,
     swayAmount: 0.12,
-    phase: Math.random() * Math.PI * 2,
+    phase: rng() * Math.PI * 2,
     baseRotation: { x: 0, y: 0, z: 0 },
   };
 
   // Stem
-  const stem = new THREE.Mesh(
-    new THREE.CylinderGeometry(0.05, 0.08, randomInRange(0.5, 1.5), 6),
-    createStandardMaterial(0x228b22)
-  );
+  const stem = new THREE.Mesh(unitCylinder(0.05, 0.08, 6), createStandardMaterial(0x228b22));
+  stem.scale.y = randomInRange(rng, 0.5, 1.5);
   stem.position.y = 0.5;
   flower.add(stem);
 
-  // Petals
-  const petalCount = Math.floor(randomInRange(5, 8));
+  // Petals (no emissive: instances of a batch share one, and colours differ per flower)
+  const petalMat = createStandardMaterial(petalColor);
+  const petalCount = Math.floor(randomInRange(rng, 5, 8));
   for (let p = 0; p < petalCount; p++) {
-    const petal = new THREE.Mesh(
-      new THREE.SphereGeometry(0.15, 8, 8),
-      createStandardMaterial(petalColor, { emissive: petalColor.clone().multiplyScalar(0.2) })
-    );
+    const petal = new THREE.Mesh(unitSphere(8), petalMat);
     const angle = (p / petalCount) * Math.PI * 2;
     petal.position.set(Math.cos(angle) * 0.2, 1.1, Math.sin(angle) * 0.2);
-    petal.scale.set(1, 0.5, 1);
+    petal.scale.set(0.15, 0.075, 0.15);
     flower.add(petal);
   }
 
   // Center
-  const center = new THREE.Mesh(
-    new THREE.SphereGeometry(0.12, 8, 8),
-    createGlowMaterial(0xffff00, 0.9)
-  );
+  const center = new THREE.Mesh(unitSphere(8), createGlowMaterial(0xffff00, 0.9));
+  center.scale.setScalar(0.12);
   center.position.y = 1.1;
   flower.add(center);
 
   return flower;
 }
 
-function createBush() {
+function createBush(rng = Math.random) {
   const bush = new THREE.Group();
-  const color = new THREE.Color().setHSL(randomInRange(0.25, 0.4), 0.6, 0.35);
+  const color = new THREE.Color().setHSL(randomInRange(rng, 0.25, 0.4), 0.6, 0.35);
 
   // Add gentle sway animation
   bush.userData = {
     animated: true,
     animationType: "sway",
-    swaySpeed: 0.6 + Math.random() * 0.3,
+    swaySpeed: 0.6 + rng() * 0.3,
     swayAmount: 0.04,
-    phase: Math.random() * Math.PI * 2,
+    phase: rng() * Math.PI * 2,
     baseRotation: { x: 0, y: 0, z: 0 },
   };
 
-  const sphereCount = randomInRange(4, 8);
+  const sphereCount = randomInRange(rng, 4, 8);
+  const leafMat = createStandardMaterial(color, { roughness: 0.9 });
   for (let s = 0; s < sphereCount; s++) {
-    const sphere = new THREE.Mesh(
-      new THREE.SphereGeometry(randomInRange(0.4, 0.8), 8, 8),
-      createStandardMaterial(color, { roughness: 0.9 })
-    );
+    const sphere = new THREE.Mesh(unitSphere(8), leafMat);
+    sphere.scale.setScalar(randomInRange(rng, 0.4, 0.8));
     sphere.position.set(
-      randomInRange(-0.5, 0.5),
-      randomInRange(0.3, 0.8),
-      randomInRange(-0.5, 0.5)
+      randomInRange(rng, -0.5, 0.5),
+      randomInRange(rng, 0.3, 0.8),
+      randomInRange(rng, -0.5, 0.5)
     );
     bush.add(sphere);
   }
@@ -1151,35 +1218,31 @@ function createBush() {
   return bush;
 }
 
-function createMushroom() {
+function createMushroom(rng = Math.random) {
   const mushroom = new THREE.Group();
-  const capColor = new THREE.Color().setHSL(Math.random(), 0.7, 0.5);
+  const capColor = new THREE.Color().setHSL(rng(), 0.7, 0.5);
 
   // Stem
-  const stem = new THREE.Mesh(
-    new THREE.CylinderGeometry(0.1, 0.15, randomInRange(0.3, 0.8), 8),
-    createStandardMaterial(0xf5f5dc)
-  );
+  const stem = new THREE.Mesh(unitCylinder(0.1, 0.15, 8), createStandardMaterial(0xf5f5dc));
+  stem.scale.y = randomInRange(rng, 0.3, 0.8);
   stem.position.y = 0.25;
   mushroom.add(stem);
 
-  // Cap
+  // Cap (no emissive, like the flower petals, so caps of every colour batch together)
   const cap = new THREE.Mesh(
-    new THREE.SphereGeometry(0.3, 12, 12, 0, Math.PI * 2, 0, Math.PI / 2),
-    createStandardMaterial(capColor, { emissive: capColor.clone().multiplyScalar(0.3) })
+    sharedGeometry("mushroom-cap", () => new THREE.SphereGeometry(0.3, 12, 12, 0, Math.PI * 2, 0, Math.PI / 2)),
+    createStandardMaterial(capColor)
   );
   cap.position.y = 0.5;
   mushroom.add(cap);
 
   // Spots
-  if (Math.random() > 0.5) {
+  if (rng() > 0.5) {
+    const spotMat = createStandardMaterial(0xffffff);
     for (let i = 0; i < 5; i++) {
-      const spot = new THREE.Mesh(
-        new THREE.CircleGeometry(0.05, 8),
-        createStandardMaterial(0xffffff)
-      );
-      const angle = Math.random() * Math.PI * 2;
-      const y = randomInRange(0.52, 0.7);
+      const spot = new THREE.Mesh(sharedGeometry("mushroom-spot", () => new THREE.CircleGeometry(0.05, 8)), spotMat);
+      const angle = rng() * Math.PI * 2;
+      const y = randomInRange(rng, 0.52, 0.7);
       spot.position.set(Math.cos(angle) * 0.25, y, Math.sin(angle) * 0.25);
       spot.lookAt(0, 0.5, 0);
       mushroom.add(spot);
@@ -1187,11 +1250,9 @@ function createMushroom() {
   }
 
   // Glow
-  if (Math.random() > 0.7) {
-    const glow = new THREE.Mesh(
-      new THREE.SphereGeometry(0.4, 8, 8),
-      createGlowMaterial(capColor, 0.3)
-    );
+  if (rng() > 0.7) {
+    const glow = new THREE.Mesh(unitSphere(8), createGlowMaterial(capColor, 0.3));
+    glow.scale.setScalar(0.4);
     glow.position.y = 0.5;
     mushroom.add(glow);
   }
@@ -1199,13 +1260,13 @@ function createMushroom() {
   return mushroom;
 }
 
-export function spawnPortals(center) {
+export function spawnPortals(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
-  const portalCount = randomInRange(1, 3);
+  const portalCount = randomInRange(rng, 1, 3);
 
   for (let p = 0; p < portalCount; p++) {
-    const portal = createPortal();
-    const offset = new THREE.Vector3(p * 20 - 10, 0, randomInRange(-5, 5));
+    const portal = createPortal(rng);
+    const offset = new THREE.Vector3(p * 20 - 10, 0, randomInRange(rng, -5, 5));
     portal.position.copy(center).add(offset);
     group.add(portal);
   }
@@ -1213,9 +1274,9 @@ export function spawnPortals(center) {
   return group;
 }
 
-function createPortal() {
+function createPortal(rng = Math.random) {
   const portal = new THREE.Group();
-  const color = new THREE.Color().setHSL(randomInRange(0.5, 0.8), 0.8, 0.5);
+  const color = new THREE.Color().setHSL(randomInRange(rng, 0.5, 0.8), 0.8, 0.5);
 
   // Outer ring
   const outerRing = new THREE.Mesh(
@@ -1263,10 +1324,10 @@ function createPortal() {
   const particleGeo = new THREE.BufferGeometry();
   const particlePos = new Float32Array(particleCount * 3);
   for (let i = 0; i < particleCount; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = randomInRange(2, 8);
+    const angle = rng() * Math.PI * 2;
+    const radius = randomInRange(rng, 2, 8);
     particlePos[i * 3] = Math.cos(angle) * radius * Math.cos(Math.PI / 4);
-    particlePos[i * 3 + 1] = 10 + randomInRange(-3, 3);
+    particlePos[i * 3 + 1] = 10 + randomInRange(rng, -3, 3);
     particlePos[i * 3 + 2] = Math.sin(angle) * radius * Math.cos(Math.PI / 4);
   }
   particleGeo.setAttribute("position", new THREE.BufferAttribute(particlePos, 3));
@@ -1279,14 +1340,14 @@ function createPortal() {
   return portal;
 }
 
-export function spawnSentinels(center) {
+export function spawnSentinels(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
-  const count = randomInRange(3, 6);
+  const count = randomInRange(rng, 3, 6);
 
   for (let i = 0; i < count; i++) {
     const sentinel = createSentinel();
     const angle = (i / count) * Math.PI * 2;
-    const radius = randomInRange(8, 15);
+    const radius = randomInRange(rng, 8, 15);
     sentinel.position.set(
       center.x + Math.cos(angle) * radius,
       0,
@@ -1354,7 +1415,7 @@ function createSentinel() {
 
 // ========== NEW EXPANDED SPAWNERS ==========
 
-export function spawnMountain(center, spec = {}) {
+export function spawnMountain(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const height = readNumber(spec.height, 80) * scale;
@@ -1367,8 +1428,8 @@ export function spawnMountain(center, spec = {}) {
   const positions = mountainGeo.attributes.position;
   for (let i = 0; i < positions.count; i++) {
     if (positions.getY(i) > 0 && positions.getY(i) < height * 0.9) {
-      positions.setX(i, positions.getX(i) + randomInRange(-5, 5));
-      positions.setZ(i, positions.getZ(i) + randomInRange(-5, 5));
+      positions.setX(i, positions.getX(i) + randomInRange(rng, -5, 5));
+      positions.setZ(i, positions.getZ(i) + randomInRange(rng, -5, 5));
     }
   }
   mountainGeo.computeVertexNormals();
@@ -1392,9 +1453,9 @@ export function spawnMountain(center, spec = {}) {
   }
 
   // Secondary peaks
-  const peakCount = Math.floor(randomInRange(1, 4));
+  const peakCount = Math.floor(randomInRange(rng, 1, 4));
   for (let p = 0; p < peakCount; p++) {
-    const peakHeight = height * randomInRange(0.4, 0.7);
+    const peakHeight = height * randomInRange(rng, 0.4, 0.7);
     const peak = new THREE.Mesh(
       new THREE.ConeGeometry(peakHeight * 0.5, peakHeight, 6, 2),
       createStandardMaterial(mainColor.clone().offsetHSL(0, 0, -0.1), { roughness: 0.95, flatShading: true })
@@ -1411,7 +1472,7 @@ export function spawnMountain(center, spec = {}) {
   return group;
 }
 
-export function spawnTemple(center, spec = {}) {
+export function spawnTemple(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const color = colorWithFallback(spec.color, 0xd4af37);
@@ -1487,7 +1548,7 @@ export function spawnTemple(center, spec = {}) {
   return group;
 }
 
-export function spawnPyramid(center, spec = {}) {
+export function spawnPyramid(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const height = readNumber(spec.height, 50) * scale;
@@ -1541,7 +1602,7 @@ export function spawnPyramid(center, spec = {}) {
   return group;
 }
 
-export function spawnStatue(center, spec = {}) {
+export function spawnStatue(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const color = colorWithFallback(spec.color, 0x808080);
@@ -1605,7 +1666,7 @@ export function spawnStatue(center, spec = {}) {
   return group;
 }
 
-export function spawnWaterfall(center, spec = {}) {
+export function spawnWaterfall(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const height = readNumber(spec.height, 30) * scale;
@@ -1656,9 +1717,9 @@ export function spawnWaterfall(center, spec = {}) {
   const particleGeo = new THREE.BufferGeometry();
   const positions = new Float32Array(particleCount * 3);
   for (let i = 0; i < particleCount; i++) {
-    positions[i * 3] = center.x + randomInRange(-8, 8) * scale;
-    positions[i * 3 + 1] = randomInRange(1, 10) * scale;
-    positions[i * 3 + 2] = center.z + randomInRange(-8, 8) * scale;
+    positions[i * 3] = center.x + randomInRange(rng, -8, 8) * scale;
+    positions[i * 3 + 1] = randomInRange(rng, 1, 10) * scale;
+    positions[i * 3 + 2] = center.z + randomInRange(rng, -8, 8) * scale;
   }
   particleGeo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
   const particles = new THREE.Points(
@@ -1670,7 +1731,7 @@ export function spawnWaterfall(center, spec = {}) {
   return group;
 }
 
-export function spawnAurora(center, spec = {}) {
+export function spawnAurora(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
 
@@ -1709,7 +1770,7 @@ export function spawnAurora(center, spec = {}) {
   return group;
 }
 
-export function spawnComet(center, spec = {}) {
+export function spawnComet(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const color = colorWithFallback(spec.color, 0x88ccff);
@@ -1740,9 +1801,9 @@ export function spawnComet(center, spec = {}) {
   for (let i = 0; i < particleCount; i++) {
     const t = i / particleCount;
     const spread = t * 15 * scale;
-    positions[i * 3] = center.x - t * tailLength + randomInRange(-spread, spread);
-    positions[i * 3 + 1] = center.y + randomInRange(-spread, spread);
-    positions[i * 3 + 2] = center.z + randomInRange(-spread, spread);
+    positions[i * 3] = center.x - t * tailLength + randomInRange(rng, -spread, spread);
+    positions[i * 3 + 1] = center.y + randomInRange(rng, -spread, spread);
+    positions[i * 3 + 2] = center.z + randomInRange(rng, -spread, spread);
 
     const c = color.clone();
     c.offsetHSL(0, 0, -t * 0.3);
@@ -1768,7 +1829,7 @@ export function spawnComet(center, spec = {}) {
   return group;
 }
 
-export function spawnSkull(center, spec = {}) {
+export function spawnSkull(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const color = colorWithFallback(spec.color, 0xf5f5dc);
@@ -1807,7 +1868,7 @@ export function spawnSkull(center, spec = {}) {
   group.add(jaw);
 
   // Glowing eyes (optional spooky effect)
-  if (Math.random() > 0.5) {
+  if (rng() > 0.5) {
     for (let e = 0; e < 2; e++) {
       const glow = new THREE.Mesh(
         new THREE.SphereGeometry(0.3 * scale, 8, 8),
@@ -1825,7 +1886,7 @@ export function spawnSkull(center, spec = {}) {
   return group;
 }
 
-export function spawnGeyser(center, spec = {}) {
+export function spawnGeyser(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
 
@@ -1858,13 +1919,13 @@ export function spawnGeyser(center, spec = {}) {
   // Steam cloud at top
   for (let i = 0; i < 5; i++) {
     const cloud = new THREE.Mesh(
-      new THREE.SphereGeometry(randomInRange(3, 6) * scale, 8, 8),
+      new THREE.SphereGeometry(randomInRange(rng, 3, 6) * scale, 8, 8),
       createGlowMaterial(0xffffff, 0.2)
     );
     cloud.position.copy(center).add(new THREE.Vector3(
-      randomInRange(-5, 5) * scale,
-      25 * scale + randomInRange(0, 10) * scale,
-      randomInRange(-5, 5) * scale
+      randomInRange(rng, -5, 5) * scale,
+      25 * scale + randomInRange(rng, 0, 10) * scale,
+      randomInRange(rng, -5, 5) * scale
     ));
     group.add(cloud);
   }
@@ -1874,9 +1935,9 @@ export function spawnGeyser(center, spec = {}) {
   const dropletGeo = new THREE.BufferGeometry();
   const positions = new Float32Array(dropletCount * 3);
   for (let i = 0; i < dropletCount; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = randomInRange(0, 8) * scale;
-    const height = randomInRange(5, 30) * scale;
+    const angle = rng() * Math.PI * 2;
+    const radius = randomInRange(rng, 0, 8) * scale;
+    const height = randomInRange(rng, 5, 30) * scale;
     positions[i * 3] = center.x + Math.cos(angle) * radius;
     positions[i * 3 + 1] = height;
     positions[i * 3 + 2] = center.z + Math.sin(angle) * radius;
@@ -1891,7 +1952,7 @@ export function spawnGeyser(center, spec = {}) {
   return group;
 }
 
-export function spawnNebula(center, spec = {}) {
+export function spawnNebula(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const baseColor = colorWithFallback(spec.color, 0x8844aa);
@@ -1900,7 +1961,7 @@ export function spawnNebula(center, spec = {}) {
   for (let layer = 0; layer < 8; layer++) {
     const layerColor = baseColor.clone().offsetHSL(layer * 0.05, 0, layer * -0.03);
     const cloud = new THREE.Mesh(
-      new THREE.SphereGeometry(randomInRange(20, 50) * scale, 16, 16),
+      new THREE.SphereGeometry(randomInRange(rng, 20, 50) * scale, 16, 16),
       new THREE.MeshBasicMaterial({
         color: layerColor,
         transparent: true,
@@ -1908,14 +1969,14 @@ export function spawnNebula(center, spec = {}) {
       })
     );
     cloud.position.copy(center).add(new THREE.Vector3(
-      randomInRange(-30, 30) * scale,
-      randomInRange(-20, 20) * scale,
-      randomInRange(-30, 30) * scale
+      randomInRange(rng, -30, 30) * scale,
+      randomInRange(rng, -20, 20) * scale,
+      randomInRange(rng, -30, 30) * scale
     ));
     cloud.scale.set(
-      randomInRange(0.8, 1.5),
-      randomInRange(0.5, 1),
-      randomInRange(0.8, 1.5)
+      randomInRange(rng, 0.8, 1.5),
+      randomInRange(rng, 0.5, 1),
+      randomInRange(rng, 0.8, 1.5)
     );
     group.add(cloud);
   }
@@ -1926,11 +1987,11 @@ export function spawnNebula(center, spec = {}) {
   const starPos = new Float32Array(starCount * 3);
   const starColors = new Float32Array(starCount * 3);
   for (let i = 0; i < starCount; i++) {
-    starPos[i * 3] = center.x + randomInRange(-60, 60) * scale;
-    starPos[i * 3 + 1] = center.y + randomInRange(-40, 40) * scale;
-    starPos[i * 3 + 2] = center.z + randomInRange(-60, 60) * scale;
+    starPos[i * 3] = center.x + randomInRange(rng, -60, 60) * scale;
+    starPos[i * 3 + 1] = center.y + randomInRange(rng, -40, 40) * scale;
+    starPos[i * 3 + 2] = center.z + randomInRange(rng, -60, 60) * scale;
 
-    const starColor = new THREE.Color().setHSL(Math.random(), 0.5, 0.8);
+    const starColor = new THREE.Color().setHSL(rng(), 0.5, 0.8);
     starColors[i * 3] = starColor.r;
     starColors[i * 3 + 1] = starColor.g;
     starColors[i * 3 + 2] = starColor.b;
@@ -1948,8 +2009,10 @@ export function spawnNebula(center, spec = {}) {
 
 // ========== INSTRUCTION-BASED SPAWNERS ==========
 
-function spawnInstructionFromExisting(factory, center, spec = {}) {
-  const object = factory(new THREE.Vector3(0, 0, 0), spec);
+function spawnInstructionFromExisting(factory, center, spec = {}, rng = Math.random) {
+  const object = factory(new THREE.Vector3(0, 0, 0), spec, rng);
+  // Children are independent pieces spread around the center; ground them one by one
+  object.userData.groundChildren = true;
   const scale = specSizeToScale(spec.size, spec.scale);
   if (scale !== 1) {
     object.scale.setScalar(scale);
@@ -1958,17 +2021,17 @@ function spawnInstructionFromExisting(factory, center, spec = {}) {
   return object;
 }
 
-export function spawnInstructionStructure(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnStructures, center, spec);
+export function spawnInstructionStructure(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnStructures, center, spec, rng);
 }
 
-export function spawnInstructionTree(center, spec = {}) {
-  const tree = createPalmTree(specSizeToScale(spec.size, spec.scale));
+export function spawnInstructionTree(center, spec = {}, rng = Math.random) {
+  const tree = createPalmTree(specSizeToScale(spec.size, spec.scale), rng);
   tree.position.copy(center);
   return tree;
 }
 
-export function spawnInstructionWater(center, spec = {}) {
+export function spawnInstructionWater(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const radius = THREE.MathUtils.clamp(readNumber(spec.radius, spec.width || 16), 6, 220);
   const waterMat = new THREE.MeshPhongMaterial({
@@ -1985,51 +2048,51 @@ export function spawnInstructionWater(center, spec = {}) {
   return group;
 }
 
-export function spawnInstructionOasis(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnOasis, center, spec);
+export function spawnInstructionOasis(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnOasis, center, spec, rng);
 }
 
-export function spawnInstructionCrystal(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnCrystals, center, spec);
+export function spawnInstructionCrystal(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnCrystals, center, spec, rng);
 }
 
-export function spawnInstructionPortal(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnPortals, center, spec);
+export function spawnInstructionPortal(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnPortals, center, spec, rng);
 }
 
-export function spawnInstructionFireflies(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnFireflies, center, spec);
+export function spawnInstructionFireflies(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnFireflies, center, spec, rng);
 }
 
-export function spawnInstructionTotem(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnTotems, center, spec);
+export function spawnInstructionTotem(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnTotems, center, spec, rng);
 }
 
-export function spawnInstructionRock(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnRocks, center, spec);
+export function spawnInstructionRock(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnRocks, center, spec, rng);
 }
 
-export function spawnInstructionCacti(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnCacti, center, spec);
+export function spawnInstructionCacti(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnCacti, center, spec, rng);
 }
 
-export function spawnInstructionRuins(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnRuins, center, spec);
+export function spawnInstructionRuins(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnRuins, center, spec, rng);
 }
 
-export function spawnInstructionMirage(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnMirage, center, spec);
+export function spawnInstructionMirage(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnMirage, center, spec, rng);
 }
 
-export function spawnInstructionNomads(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnNomads, center, spec);
+export function spawnInstructionNomads(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnNomads, center, spec, rng);
 }
 
-export function spawnInstructionStorm(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnStorm, center, spec);
+export function spawnInstructionStorm(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnStorm, center, spec, rng);
 }
 
-export function spawnInstructionDune(center, spec = {}) {
+export function spawnInstructionDune(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const width = THREE.MathUtils.clamp(readNumber(spec.width, 60) * scale, 20, 260);
@@ -2043,12 +2106,14 @@ export function spawnInstructionDune(center, spec = {}) {
   });
   const dune = new THREE.Mesh(geometry, material);
   dune.position.y = height * 0.25;
+  // Sand mound: part of the ground, not an obstacle
+  dune.userData.noCollide = true;
   group.add(dune);
   group.position.copy(center);
   return group;
 }
 
-export function spawnInstructionBridge(center, spec = {}) {
+export function spawnInstructionBridge(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const length = THREE.MathUtils.clamp(readNumber(spec.length, 40), 20, 200);
   const width = THREE.MathUtils.clamp(readNumber(spec.width, 6), 3, 30);
@@ -2076,7 +2141,7 @@ export function spawnInstructionBridge(center, spec = {}) {
   return group;
 }
 
-export function spawnInstructionMonolith(center, spec = {}) {
+export function spawnInstructionMonolith(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const height = THREE.MathUtils.clamp(readNumber(spec.height, 30) * scale, 10, 200);
@@ -2102,59 +2167,59 @@ export function spawnInstructionMonolith(center, spec = {}) {
   return group;
 }
 
-export function spawnInstructionFlora(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnFlora, center, spec);
+export function spawnInstructionFlora(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnFlora, center, spec, rng);
 }
 
-export function spawnInstructionCreature(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnCreatures, center, spec);
+export function spawnInstructionCreature(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnCreatures, center, spec, rng);
 }
 
-export function spawnInstructionSentinel(center, spec = {}) {
-  return spawnInstructionFromExisting(spawnSentinels, center, spec);
+export function spawnInstructionSentinel(center, spec = {}, rng = Math.random) {
+  return spawnInstructionFromExisting(spawnSentinels, center, spec, rng);
 }
 
-export function spawnInstructionMountain(center, spec = {}) {
-  return spawnMountain(center, spec);
+export function spawnInstructionMountain(center, spec = {}, rng = Math.random) {
+  return spawnMountain(center, spec, rng);
 }
 
-export function spawnInstructionTemple(center, spec = {}) {
-  return spawnTemple(center, spec);
+export function spawnInstructionTemple(center, spec = {}, rng = Math.random) {
+  return spawnTemple(center, spec, rng);
 }
 
-export function spawnInstructionPyramid(center, spec = {}) {
-  return spawnPyramid(center, spec);
+export function spawnInstructionPyramid(center, spec = {}, rng = Math.random) {
+  return spawnPyramid(center, spec, rng);
 }
 
-export function spawnInstructionStatue(center, spec = {}) {
-  return spawnStatue(center, spec);
+export function spawnInstructionStatue(center, spec = {}, rng = Math.random) {
+  return spawnStatue(center, spec, rng);
 }
 
-export function spawnInstructionWaterfall(center, spec = {}) {
-  return spawnWaterfall(center, spec);
+export function spawnInstructionWaterfall(center, spec = {}, rng = Math.random) {
+  return spawnWaterfall(center, spec, rng);
 }
 
-export function spawnInstructionAurora(center, spec = {}) {
-  return spawnAurora(center, spec);
+export function spawnInstructionAurora(center, spec = {}, rng = Math.random) {
+  return spawnAurora(center, spec, rng);
 }
 
-export function spawnInstructionComet(center, spec = {}) {
-  return spawnComet(center, spec);
+export function spawnInstructionComet(center, spec = {}, rng = Math.random) {
+  return spawnComet(center, spec, rng);
 }
 
-export function spawnInstructionSkull(center, spec = {}) {
-  return spawnSkull(center, spec);
+export function spawnInstructionSkull(center, spec = {}, rng = Math.random) {
+  return spawnSkull(center, spec, rng);
 }
 
-export function spawnInstructionGeyser(center, spec = {}) {
-  return spawnGeyser(center, spec);
+export function spawnInstructionGeyser(center, spec = {}, rng = Math.random) {
+  return spawnGeyser(center, spec, rng);
 }
 
-export function spawnInstructionNebula(center, spec = {}) {
-  return spawnNebula(center, spec);
+export function spawnInstructionNebula(center, spec = {}, rng = Math.random) {
+  return spawnNebula(center, spec, rng);
 }
 
-export function spawnInstructionCampfire(center, spec = {}) {
+export function spawnInstructionCampfire(center, spec = {}, rng = Math.random) {
   const fire = createCampfire();
   fire.position.copy(center);
   const scale = specSizeToScale(spec.size, spec.scale);
@@ -2162,7 +2227,7 @@ export function spawnInstructionCampfire(center, spec = {}) {
   return fire;
 }
 
-export function spawnInstructionTent(center, spec = {}) {
+export function spawnInstructionTent(center, spec = {}, rng = Math.random) {
   const tent = createTent();
   tent.position.copy(center);
   const scale = specSizeToScale(spec.size, spec.scale);
@@ -2172,11 +2237,13 @@ export function spawnInstructionTent(center, spec = {}) {
 
 // ========== HUMAN FIGURES ==========
 
-export function spawnHuman(center, spec = {}) {
+export function spawnHuman(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
+  const rig = new THREE.Group();
+  group.add(rig);
   const scale = specSizeToScale(spec.size, spec.scale);
   const skinColor = colorWithFallback(spec.color, 0xf5d0c5);
-  const clothColor = new THREE.Color().setHSL(Math.random(), 0.6, 0.4);
+  const clothColor = new THREE.Color().setHSL(rng(), 0.6, 0.4);
 
   // Body
   const torso = new THREE.Mesh(
@@ -2185,7 +2252,7 @@ export function spawnHuman(center, spec = {}) {
   );
   torso.position.y = 1.4;
   torso.castShadow = true;
-  group.add(torso);
+  rig.add(torso);
 
   // Head
   const head = new THREE.Mesh(
@@ -2194,67 +2261,87 @@ export function spawnHuman(center, spec = {}) {
   );
   head.position.y = 2.2;
   head.castShadow = true;
-  group.add(head);
+  rig.add(head);
 
   // Hair
-  const hairColor = new THREE.Color().setHSL(Math.random() * 0.1, 0.5, 0.2);
+  const hairColor = new THREE.Color().setHSL(rng() * 0.1, 0.5, 0.2);
   const hair = new THREE.Mesh(
     new THREE.SphereGeometry(0.27, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2),
     createStandardMaterial(hairColor)
   );
   hair.position.y = 2.3;
-  group.add(hair);
+  rig.add(hair);
 
-  // Arms
+  // Arms hang from shoulder pivots, tilted out
+  const arms = [];
   for (let side of [-1, 1]) {
+    const shoulder = new THREE.Group();
+    shoulder.position.set(side * 0.42, 1.9, 0);
+    shoulder.rotation.z = side * 0.2;
+    rig.add(shoulder);
+
     const arm = new THREE.Mesh(
       new THREE.CylinderGeometry(0.08, 0.06, 0.8, 6),
       createStandardMaterial(skinColor)
     );
-    arm.position.set(side * 0.5, 1.5, 0);
-    arm.rotation.z = side * 0.2;
-    group.add(arm);
+    arm.position.y = -0.4;
+    shoulder.add(arm);
 
     // Hands
     const hand = new THREE.Mesh(
       new THREE.SphereGeometry(0.08, 8, 8),
       createStandardMaterial(skinColor)
     );
-    hand.position.set(side * 0.6, 1.1, 0);
-    group.add(hand);
+    hand.position.y = -0.85;
+    shoulder.add(hand);
+    arms.push({ pivot: shoulder, side });
   }
 
   // Legs
+  const legs = [];
   for (let side of [-1, 1]) {
-    const leg = new THREE.Mesh(
-      new THREE.CylinderGeometry(0.12, 0.1, 1, 8),
-      createStandardMaterial(clothColor.clone().multiplyScalar(0.7))
-    );
-    leg.position.set(side * 0.15, 0.5, 0);
-    leg.castShadow = true;
-    group.add(leg);
-
     // Feet
     const foot = new THREE.Mesh(
       new THREE.BoxGeometry(0.15, 0.08, 0.25),
       createStandardMaterial(0x3d3d3d)
     );
-    foot.position.set(side * 0.15, 0.04, 0.05);
-    group.add(foot);
-  }
+    foot.position.set(0, 0.04, 0.05);
 
+    const leg = createJointedLeg({
+      x: side * 0.15,
+      z: 0,
+      height: 1,
+      radius: [0.12, 0.1],
+      segments: 8,
+      material: createStandardMaterial(clothColor.clone().multiplyScalar(0.7)),
+      foot,
+    });
+    rig.add(leg.hip);
+    legs.push({ ...leg, side });
+  }
+
+  attachGait(group, createGait({
+    body: rig,
+    torso,
+    legs,
+    arms,
+    kind: "biped",
+    forward: "z",
+    stride: 1.4,
+    walkSpeed: 1.2,
+  }));
   group.scale.setScalar(scale);
   group.position.copy(center);
   return group;
 }
 
-export function spawnInstructionHuman(center, spec = {}) {
-  return spawnHuman(center, spec);
+export function spawnInstructionHuman(center, spec = {}, rng = Math.random) {
+  return spawnHuman(center, spec, rng);
 }
 
 // ========== ANIMALS ==========
 
-export function spawnBird(center, spec = {}) {
+export function spawnBird(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const color = colorWithFallback(spec.color, 0x4488ff);
@@ -2298,7 +2385,7 @@ export function spawnBird(center, spec = {}) {
       animationType: "sway",
       swaySpeed: 4,
       swayAmount: 0.4,
-      phase: Math.random() * Math.PI * 2,
+      phase: rng() * Math.PI * 2,
       baseRotation: { x: 0, y: 0, z: side * 0.3 },
     };
     group.add(wing);
@@ -2315,11 +2402,11 @@ export function spawnBird(center, spec = {}) {
 
   group.scale.setScalar(scale * 2);
   group.position.copy(center);
-  group.position.y += 5 + Math.random() * 10; // Flying height
+  group.position.y += 5 + rng() * 10; // Flying height
   return group;
 }
 
-export function spawnFish(center, spec = {}) {
+export function spawnFish(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const color = colorWithFallback(spec.color, 0x00aaff);
@@ -2373,7 +2460,7 @@ export function spawnFish(center, spec = {}) {
   return group;
 }
 
-export function spawnDeer(center, spec = {}) {
+export function spawnDeer(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const color = colorWithFallback(spec.color, 0xc4a574);
@@ -2440,22 +2527,24 @@ export function spawnDeer(center, spec = {}) {
     { x: 0.6, z: 0.2 }, { x: 0.6, z: -0.2 },
     { x: -0.6, z: 0.2 }, { x: -0.6, z: -0.2 }
   ];
+  const legs = [];
   for (const pos of legPositions) {
-    const leg = new THREE.Mesh(
-      new THREE.CylinderGeometry(0.06, 0.05, 1, 6),
-      createStandardMaterial(color)
-    );
-    leg.position.set(pos.x, 0.5, pos.z);
-    leg.castShadow = true;
-    group.add(leg);
-
     // Hoof
     const hoof = new THREE.Mesh(
       new THREE.CylinderGeometry(0.05, 0.06, 0.1, 6),
       createStandardMaterial(0x3d3d3d)
     );
-    hoof.position.set(pos.x, 0.05, pos.z);
-    group.add(hoof);
+    hoof.position.y = 0.05;
+
+    const leg = createJointedLeg({
+      ...pos,
+      height: 1,
+      radius: [0.06, 0.05],
+      material: createStandardMaterial(color),
+      foot: hoof,
+    });
+    group.add(leg.hip);
+    legs.push({ ...leg, side: Math.sign(pos.z), fore: pos.x > 0 });
   }
 
   // Tail
@@ -2467,13 +2556,28 @@ export function spawnDeer(center, spec = {}) {
   tail.rotation.z = -0.5;
   group.add(tail);
 
-  group.scale.setScalar(scale * 1.5);
-  group.position.copy(center);
-  return group;
-}
-
-export function spawnWolf(center, spec = {}) {
+  const deer = createLevels({
+    high: group,
+    medium: createQuadrupedLevel(DEER_SHAPE, color, "medium"),
+    low: createQuadrupedLevel(DEER_SHAPE, color, "low"),
+  });
+  attachGait(deer, createGait({
+    body: group,
+    torso: body,
+    legs,
+    stride: 1.6,
+    walkSpeed: 0.8,
+    gallopSpeed: 6,
+  }));
+  deer.scale.setScalar(scale * 1.5);
+  deer.position.copy(center);
+  return deer;
+}
+
+export function spawnWolf(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
+  const rig = new THREE.Group();
+  group.add(rig);
   const scale = specSizeToScale(spec.size, spec.scale);
   const color = colorWithFallback(spec.color, 0x666666);
 
@@ -2485,7 +2589,7 @@ export function spawnWolf(center, spec = {}) {
   body.rotation.z = Math.PI / 2;
   body.position.y = 0.8;
   body.castShadow = true;
-  group.add(body);
+  rig.add(body);
 
   // Head
   const head = new THREE.Mesh(
@@ -2494,7 +2598,7 @@ export function spawnWolf(center, spec = {}) {
   );
   head.scale.set(0.9, 1, 1.3);
   head.position.set(0.9, 1, 0);
-  group.add(head);
+  rig.add(head);
 
   // Snout
   const snout = new THREE.Mesh(
@@ -2503,7 +2607,7 @@ export function spawnWolf(center, spec = {}) {
   );
   snout.position.set(1.2, 0.95, 0);
   snout.rotation.z = Math.PI / 2;
-  group.add(snout);
+  rig.add(snout);
 
   // Ears
   for (let side of [-1, 1]) {
@@ -2512,7 +2616,7 @@ export function spawnWolf(center, spec = {}) {
       createStandardMaterial(color)
     );
     ear.position.set(0.8, 1.25, side * 0.15);
-    group.add(ear);
+    rig.add(ear);
   }
 
   // Legs
@@ -2520,13 +2624,17 @@ export function spawnWolf(center, spec = {}) {
     { x: 0.5, z: 0.15 }, { x: 0.5, z: -0.15 },
     { x: -0.5, z: 0.15 }, { x: -0.5, z: -0.15 }
   ];
+  const legs = [];
   for (const pos of legPositions) {
-    const leg = new THREE.Mesh(
-      new THREE.CylinderGeometry(0.06, 0.05, 0.7, 6),
-      createStandardMaterial(color)
-    );
-    leg.position.set(pos.x, 0.35, pos.z);
-    group.add(leg);
+    const leg = createJointedLeg({
+      ...pos,
+      height: 0.7,
+      radius: [0.06, 0.05],
+      material: createStandardMaterial(color),
+      castShadow: false,
+    });
+    rig.add(leg.hip);
+    legs.push({ ...leg, side: Math.sign(pos.z), fore: pos.x > 0 });
   }
 
   // Tail
@@ -2536,14 +2644,22 @@ export function spawnWolf(center, spec = {}) {
   );
   tail.position.set(-0.9, 0.9, 0);
   tail.rotation.z = -0.8;
-  group.add(tail);
-
+  rig.add(tail);
+
+  attachGait(group, createGait({
+    body: rig,
+    torso: body,
+    legs,
+    stride: 1.4,
+    walkSpeed: 1.5,
+    gallopSpeed: 6,
+  }));
   group.scale.setScalar(scale * 1.2);
   group.position.copy(center);
   return group;
 }
 
-export function spawnHorse(center, spec = {}) {
+export function spawnHorse(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const color = colorWithFallback(spec.color, 0x8b4513);
@@ -2600,22 +2716,24 @@ export function spawnHorse(center, spec = {}) {
     { x: 0.7, z: 0.25 }, { x: 0.7, z: -0.25 },
     { x: -0.7, z: 0.25 }, { x: -0.7, z: -0.25 }
   ];
+  const legs = [];
   for (const pos of legPositions) {
-    const leg = new THREE.Mesh(
-      new THREE.CylinderGeometry(0.08, 0.06, 1.3, 6),
-      createStandardMaterial(color)
-    );
-    leg.position.set(pos.x, 0.65, pos.z);
-    leg.castShadow = true;
-    group.add(leg);
-
     // Hoof
     const hoof = new THREE.Mesh(
       new THREE.CylinderGeometry(0.07, 0.08, 0.1, 6),
       createStandardMaterial(0x2d2d2d)
     );
-    hoof.position.set(pos.x, 0.05, pos.z);
-    group.add(hoof);
+    hoof.position.y = 0.05;
+
+    const leg = createJointedLeg({
+      ...pos,
+      height: 1.3,
+      radius: [0.08, 0.06],
+      material: createStandardMaterial(color),
+      foot: hoof,
+    });
+    group.add(leg.hip);
+    legs.push({ ...leg, side: Math.sign(pos.z), fore: pos.x > 0 });
   }
 
   // Tail
@@ -2627,34 +2745,139 @@ export function spawnHorse(center, spec = {}) {
   tail.rotation.z = -1;
   group.add(tail);
 
-  group.scale.setScalar(scale * 1.5);
-  group.position.copy(center);
+  const horse = createLevels({
+    high: group,
+    medium: createQuadrupedLevel(HORSE_SHAPE, color, "medium"),
+    low: createQuadrupedLevel(HORSE_SHAPE, color, "low"),
+  });
+  attachGait(horse, createGait({
+    body: group,
+    torso: body,
+    legs,
+    stride: 2.2,
+    walkSpeed: 1,
+    gallopSpeed: 6,
+  }));
+  horse.scale.setScalar(scale * 1.5);
+  horse.position.copy(center);
+  return horse;
+}
+
+// Leg hanging from a hip pivot at (x, height, z), bent at a knee pivot halfway
+// down. radius is [top, bottom]; the foot is placed as if the leg stood
+// straight (y measured from the ground) and moves with the lower leg.
+// Returns the { hip, knee } pivots for createGait().
+function createJointedLeg({ x, z, height, radius: [top, bottom], segments = 6, material, foot = null, castShadow = true }) {
+  const half = height / 2;
+  const middle = (top + bottom) / 2;
+  const hip = new THREE.Group();
+  hip.position.set(x, height, z);
+
+  const upper = new THREE.Mesh(new THREE.CylinderGeometry(top, middle, half, segments), material);
+  upper.position.y = -half / 2;
+  upper.castShadow = castShadow;
+  hip.add(upper);
+
+  const knee = new THREE.Group();
+  knee.position.y = -half;
+  hip.add(knee);
+
+  const lower = new THREE.Mesh(new THREE.CylinderGeometry(middle, bottom, half, segments), material);
+  lower.position.y = -half / 2;
+  lower.castShadow = castShadow;
+  knee.add(lower);
+
+  if (foot) {
+    foot.position.y -= half;
+    knee.add(foot);
+  }
+  return { hip, knee };
+}
+
+// Proportions of the full deer and horse models, for their reduced levels
+const DEER_SHAPE = {
+  body: { length: 1.8, radius: 0.5, y: 1.2 },
+  neck: { length: 0.8, radius: 0.18, x: 0.7, y: 1.6, tilt: -0.5 },
+  head: { size: [0.32, 0.4, 0.48], x: 1.1, y: 2, tilt: 0 },
+  legs: { x: 0.6, z: 0.2, height: 1, radius: 0.06 },
+};
+
+const HORSE_SHAPE = {
+  body: { length: 2, radius: 0.6, y: 1.5 },
+  neck: { length: 1, radius: 0.25, x: 0.9, y: 2.1, tilt: -0.6 },
+  head: { size: [0.6, 0.3, 0.25], x: 1.4, y: 2.5, tilt: -0.2 },
+  legs: { x: 0.7, z: 0.25, height: 1.3, radius: 0.08 },
+};
+
+// Body, neck, head and legs of a four-legged animal: low-segment cylinders
+// for the medium level, boxes for the low one. One material for every part.
+function createQuadrupedLevel({ body, neck, head, legs }, color, detail) {
+  const group = new THREE.Group();
+  const mat = createStandardMaterial(color);
+  const medium = detail === "medium";
+
+  const torso = new THREE.Mesh(
+    medium
+      ? new THREE.CylinderGeometry(body.radius, body.radius * 0.9, body.length, 6)
+      : new THREE.BoxGeometry(body.radius * 1.8, body.length, body.radius * 1.8),
+    mat
+  );
+  torso.rotation.z = Math.PI / 2;
+  torso.position.y = body.y;
+  torso.castShadow = medium;
+  group.add(torso);
+
+  const neckMesh = new THREE.Mesh(
+    medium
+      ? new THREE.CylinderGeometry(neck.radius * 0.8, neck.radius, neck.length, 5)
+      : new THREE.BoxGeometry(neck.radius * 1.6, neck.length, neck.radius * 1.6),
+    mat
+  );
+  neckMesh.position.set(neck.x, neck.y, 0);
+  neckMesh.rotation.z = neck.tilt;
+  group.add(neckMesh);
+
+  const headMesh = new THREE.Mesh(new THREE.BoxGeometry(...head.size), mat);
+  headMesh.position.set(head.x, head.y, 0);
+  headMesh.rotation.z = head.tilt;
+  group.add(headMesh);
+
+  const legGeometry = medium
+    ? new THREE.CylinderGeometry(legs.radius, legs.radius * 0.8, legs.height, 4)
+    : new THREE.BoxGeometry(legs.radius * 2, legs.height, legs.radius * 2);
+  for (const x of [legs.x, -legs.x]) {
+    for (const z of [legs.z, -legs.z]) {
+      const leg = new THREE.Mesh(legGeometry, mat);
+      leg.position.set(x, legs.height / 2, z);
+      group.add(leg);
+    }
+  }
   return group;
 }
 
-export function spawnInstructionBird(center, spec = {}) {
-  return spawnBird(center, spec);
+export function spawnInstructionBird(center, spec = {}, rng = Math.random) {
+  return spawnBird(center, spec, rng);
 }
 
-export function spawnInstructionFish(center, spec = {}) {
-  return spawnFish(center, spec);
+export function spawnInstructionFish(center, spec = {}, rng = Math.random) {
+  return spawnFish(center, spec, rng);
 }
 
-export function spawnInstructionDeer(center, spec = {}) {
-  return spawnDeer(center, spec);
+export function spawnInstructionDeer(center, spec = {}, rng = Math.random) {
+  return spawnDeer(center, spec, rng);
 }
 
-export function spawnInstructionWolf(center, spec = {}) {
-  return spawnWolf(center, spec);
+export function spawnInstructionWolf(center, spec = {}, rng = Math.random) {
+  return spawnWolf(center, spec, rng);
 }
 
-export function spawnInstructionHorse(center, spec = {}) {
-  return spawnHorse(center, spec);
+export function spawnInstructionHorse(center, spec = {}, rng = Math.random) {
+  return spawnHorse(center, spec, rng);
 }
 
 // ========== IMPROVED WATER BODIES ==========
 
-export function spawnRiver(center, spec = {}) {
+export function spawnRiver(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const length = readNumber(spec.width, 50) * scale;
@@ -2664,7 +2887,7 @@ export function spawnRiver(center, spec = {}) {
   const bedGeo = new THREE.PlaneGeometry(length, width, 20, 4);
   const bedPos = bedGeo.attributes.position;
   for (let i = 0; i < bedPos.count; i++) {
-    bedPos.setZ(i, (Math.random() - 0.5) * 0.3);
+    bedPos.setZ(i, (rng() - 0.5) * 0.3);
   }
   bedGeo.computeVertexNormals();
   const bed = new THREE.Mesh(bedGeo, createStandardMaterial(0x5d4e37, { roughness: 1 }));
@@ -2697,14 +2920,14 @@ export function spawnRiver(center, spec = {}) {
   // Foam/ripples
   for (let i = 0; i < 8; i++) {
     const foam = new THREE.Mesh(
-      new THREE.CircleGeometry(0.5 + Math.random() * 0.5, 12),
+      new THREE.CircleGeometry(0.5 + rng() * 0.5, 12),
       new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.3 })
     );
     foam.rotation.x = -Math.PI / 2;
     foam.position.set(
-      (Math.random() - 0.5) * length * 0.8,
+      (rng() - 0.5) * length * 0.8,
       0.15,
-      (Math.random() - 0.5) * width * 0.6
+      (rng() - 0.5) * width * 0.6
     );
     group.add(foam);
   }
@@ -2713,7 +2936,7 @@ export function spawnRiver(center, spec = {}) {
   return group;
 }
 
-export function spawnLake(center, spec = {}) {
+export function spawnLake(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const radius = readNumber(spec.radius, 20) * scale;
@@ -2754,8 +2977,8 @@ export function spawnLake(center, spec = {}) {
 
   // Water lilies
   for (let i = 0; i < 6; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const dist = Math.random() * radius * 0.7;
+    const angle = rng() * Math.PI * 2;
+    const dist = rng() * radius * 0.7;
     const lily = new THREE.Mesh(
       new THREE.CircleGeometry(0.4, 8),
       createStandardMaterial(0x228b22)
@@ -2765,7 +2988,7 @@ export function spawnLake(center, spec = {}) {
     group.add(lily);
 
     // Flower
-    if (Math.random() > 0.5) {
+    if (rng() > 0.5) {
       const flower = new THREE.Mesh(
         new THREE.SphereGeometry(0.15, 8, 8),
         createStandardMaterial(0xff69b4)
@@ -2780,7 +3003,7 @@ export function spawnLake(center, spec = {}) {
   return group;
 }
 
-export function spawnSea(center, spec = {}) {
+export function spawnSea(center, spec = {}, rng = Math.random) {
   const group = new THREE.Group();
   const scale = specSizeToScale(spec.size, spec.scale);
   const size = readNumber(spec.width, 100) * scale;
@@ -2819,7 +3042,7 @@ export function spawnSea(center, spec = {}) {
   // Waves/foam at edges
   for (let i = 0; i < 20; i++) {
     const wave = new THREE.Mesh(
-      new THREE.TorusGeometry(1 + Math.random(), 0.2, 8, 16, Math.PI),
+      new THREE.TorusGeometry(1 + rng(), 0.2, 8, 16, Math.PI),
       new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.4 })
     );
     const angle = (i / 20) * Math.PI * 2;
@@ -2837,118 +3060,93 @@ export function spawnSea(center, spec = {}) {
   return group;
 }
 
-export function spawnInstructionRiver(center, spec = {}) {
-  return spawnRiver(center, spec);
+export function spawnInstructionRiver(center, spec = {}, rng = Math.random) {
+  return spawnRiver(center, spec, rng);
 }
 
-export function spawnInstructionLake(center, spec = {}) {
-  return spawnLake(center, spec);
+export function spawnInstructionLake(center, spec = {}, rng = Math.random) {
+  return spawnLake(center, spec, rng);
 }
 
-export function spawnInstructionSea(center, spec = {}) {
-  return spawnSea(center, spec);
+export function spawnInstructionSea(center, spec = {}, rng = Math.random) {
+  return spawnSea(center, spec, rng);
 }
 
 // ========== ENTITY SPAWNERS MAPPING ==========
 
-export const ENTITY_SPAWNERS = {
+// Instruction spawners by factory name. The schema registry says which
+// factory builds each entity type, so a new built-in type that reuses one of
+// these only needs its registry entry.
+const ENTITY_FACTORIES = {
+  // Built and inhabited
   structure: spawnInstructionStructure,
-  tower: spawnInstructionStructure,
-  tree: spawnInstructionTree,
-  oasis: spawnInstructionOasis,
-  water: spawnInstructionWater,
-  crystal: spawnInstructionCrystal,
-  portal: spawnInstructionPortal,
-  fireflies: spawnInstructionFireflies,
-  totem: spawnInstructionTotem,
-  rock: spawnInstructionRock,
-  dune: spawnInstructionDune,
   bridge: spawnInstructionBridge,
   monolith: spawnInstructionMonolith,
-  flora: spawnInstructionFlora,
-  creature: spawnInstructionCreature,
-  sentinel: spawnInstructionSentinel,
-  cacti: spawnInstructionCacti,
   ruins: spawnInstructionRuins,
-  mirage: spawnInstructionMirage,
-  nomad: spawnInstructionNomads,
-  storm: spawnInstructionStorm,
-  // New types
-  mountain: spawnInstructionMountain,
   temple: spawnInstructionTemple,
   pyramid: spawnInstructionPyramid,
   statue: spawnInstructionStatue,
+  totem: spawnInstructionTotem,
+  tent: spawnInstructionTent,
+  campfire: spawnInstructionCampfire,
+  nomads: spawnInstructionNomads,
+  // Landforms and minerals
+  mountain: spawnInstructionMountain,
+  dune: spawnInstructionDune,
+  rock: spawnInstructionRock,
+  crystal: spawnInstructionCrystal,
+  // Water
+  oasis: spawnInstructionOasis,
+  water: spawnInstructionWater,
   waterfall: spawnInstructionWaterfall,
-  aurora: spawnInstructionAurora,
-  comet: spawnInstructionComet,
-  skull: spawnInstructionSkull,
-  bones: spawnInstructionSkull,
   geyser: spawnInstructionGeyser,
-  nebula: spawnInstructionNebula,
-  campfire: spawnInstructionCampfire,
-  tent: spawnInstructionTent,
-  // Aliases
-  river: spawnInstructionWater,
-  pond: spawnInstructionWater,
-  stream: spawnInstructionWater,
-  lake: spawnInstructionWater,
-  cave: spawnInstructionRuins,
-  hot_spring: spawnInstructionGeyser,
-  meteor: spawnInstructionComet,
-  star_field: spawnInstructionNebula,
-  fossil: spawnInstructionSkull,
-  palm: spawnInstructionTree,
-  bush: spawnInstructionFlora,
-  flower: spawnInstructionFlora,
-  mushroom: spawnInstructionFlora,
-  grass: spawnInstructionFlora,
-  vine: spawnInstructionFlora,
-  boulder: spawnInstructionRock,
-  cliff: spawnInstructionMountain,
-  mesa: spawnInstructionMountain,
-  canyon: spawnInstructionMountain,
-  arch: spawnInstructionRuins,
-  pillar: spawnInstructionMonolith,
-  well: spawnInstructionOasis,
-  wagon: spawnInstructionNomads,
-  lightning: spawnInstructionStorm,
-  dust_devil: spawnInstructionStorm,
-  rainbow: spawnInstructionAurora,
-  moon: spawnInstructionMirage,
-  sun_disk: spawnInstructionMirage,
-  wormhole: spawnInstructionPortal,
-  black_hole: spawnInstructionPortal,
-  gem: spawnInstructionCrystal,
-  dead_tree: spawnInstructionTree,
-  log: spawnInstructionRock,
-  pebbles: spawnInstructionRock,
-  sand_ripple: spawnInstructionDune,
-  crater: spawnInstructionRuins,
-  ravine: spawnInstructionMountain,
-  smoke: spawnInstructionGeyser,
-  // Human forms
+  river: spawnInstructionRiver,
+  lake: spawnInstructionLake,
+  sea: spawnInstructionSea,
+  // Plants
+  tree: spawnInstructionTree,
+  flora: spawnInstructionFlora,
+  cacti: spawnInstructionCacti,
+  // Beings
+  creature: spawnInstructionCreature,
+  sentinel: spawnInstructionSentinel,
   human: spawnInstructionHuman,
-  person: spawnInstructionHuman,
-  figure: spawnInstructionHuman,
-  man: spawnInstructionHuman,
-  woman: spawnInstructionHuman,
-  // Animals
   bird: spawnInstructionBird,
-  eagle: spawnInstructionBird,
-  hawk: spawnInstructionBird,
   fish: spawnInstructionFish,
   deer: spawnInstructionDeer,
   wolf: spawnInstructionWolf,
-  dog: spawnInstructionWolf,
   horse: spawnInstructionHorse,
-  animal: spawnInstructionDeer,
-  // Water bodies (new detailed versions)
-  river_detailed: spawnInstructionRiver,
-  lake_detailed: spawnInstructionLake,
-  sea: spawnInstructionSea,
-  ocean: spawnInstructionSea,
+  fireflies: spawnInstructionFireflies,
+  // Sky and magic
+  portal: spawnInstructionPortal,
+  mirage: spawnInstructionMirage,
+  aurora: spawnInstructionAurora,
+  comet: spawnInstructionComet,
+  nebula: spawnInstructionNebula,
+  storm: spawnInstructionStorm,
+  // Remains
+  skull: spawnInstructionSkull,
 };
 
+// Record types saved before the registry that were built by a different
+// spawner than the type they now resolve to ("lake" was a plain pool, not
+// lake_detailed), so old snapshots rebuild the same objects
+const LEGACY_ENTITY_FACTORIES = {
+  river: "water",
+  lake: "water",
+};
+
+// Spawner for every canonical entity type, from the registry. Aliases and
+// keywords are resolved by the schema before a spawner is looked up.
+export const ENTITY_SPAWNERS = {};
+ENTITY_TYPE_NAMES.forEach((type) => {
+  const factory = ENTITY_FACTORIES[entityTypeInfo(type).factory];
+  if (factory) ENTITY_SPAWNERS[type] = factory;
+});
+Object.entries(LEGACY_ENTITY_FACTORIES).forEach(([type, factory]) => {
+  ENTITY_SPAWNERS[type] = ENTITY_FACTORIES[factory];
+});
+
 // Tag spawner mapping
 export const TAG_SPAWNERS = {
   cacti: spawnCacti,
@@ -2967,3 +3165,42 @@ export const TAG_SPAWNERS = {
   portals: spawnPortals,
   sentinels: spawnSentinels,
 };
+
+/**
+ * Add an entity type at runtime, or replace the factory of an existing one.
+ * factory(center, spec, rng) returns a THREE.Object3D, like the built-in
+ * spawners. The other fields are those of defineEntityType() in the schema:
+ *
+ *   registerEntityType({
+ *     name: "cactus_flower",
+ *     label: "Flor de cactus",
+ *     tag: "cacti",
+ *     aliases: ["cactus bloom"],
+ *     keywords: ["flor de cactus"],
+ *     params: ["color"],
+ *     factory: (center, spec, rng) => createBloom(center, spec, rng),
+ *   });
+ *
+ * The type becomes valid in plans, the offline parser and the selection card
+ * right away. The AI endpoint only offers it to the model if the server defines it too.
+ */
+export function registerEntityType({ factory, ...definition }) {
+  if (typeof factory !== "function") {
+    throw new Error(`Falta la factory del tipo ${definition.name}`);
+  }
+  const info = defineEntityType(definition);
+  ENTITY_SPAWNERS[info.name] = factory;
+  return info;
+}
+
+// In development, flag schema entries that have no spawner so they are not
+// silently dropped when the API returns them
+if (typeof import.meta !== "undefined" && import.meta.env?.DEV) {
+  const missing = [
+    ...Array.from(ENTITY_TYPES).filter((type) => !ENTITY_SPAWNERS[type]),
+    ...Array.from(ALLOWED_TAGS).filter((tag) => !TAG_SPAWNERS[tag]),
+  ];
+  if (missing.length) {
+    console.warn("Tipos del esquema sin spawner:", missing.join(", "));
+  }
+}
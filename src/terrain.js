@@ -0,0 +1,164 @@
+/**
+ * Terrain module for UniversoDu
+ * Streams dune tiles around the camera from one endless height field, shared
+ * by the ground meshes, object placement and the camera
+ */
+
+import * as THREE from "three";
+import { WORLD_CONFIG } from "./constants.js";
+import { hashNoise } from "./random.js";
+
+const { TERRAIN_CHUNK_SIZE, TERRAIN_CHUNK_CELLS, TERRAIN_VIEW_CHUNKS } = WORLD_CONFIG;
+
+// Per-vertex jitter amplitude on top of the smooth dune profile
+const JITTER = 0.3;
+
+/**
+ * Smooth dune profile at a world position (without per-vertex jitter)
+ */
+export function sampleDuneHeight(x, z) {
+  return (
+    Math.sin(x * 0.004) * 2 +
+    Math.cos(z * 0.003) * 1.9 +
+    Math.sin(x * 0.012 - z * 0.008) * 0.8
+  );
+}
+
+/**
+ * Build the streamed dune tiles and a height query that matches their triangles exactly
+ */
+export function createTerrain(seed) {
+  const cell = TERRAIN_CHUNK_SIZE / TERRAIN_CHUNK_CELLS;
+  const stride = TERRAIN_CHUNK_CELLS + 1;
+
+  // Height of the global lattice vertex (ix, iz) at world (ix * cell, iz * cell)
+  function latticeHeight(ix, iz) {
+    return sampleDuneHeight(ix * cell, iz * cell) + (hashNoise(seed, ix, iz) - 0.5) * JITTER;
+  }
+
+  // Each cell is split along the (ix, iz + 1)-(ix + 1, iz) diagonal, like the tile index below
+  function getHeightAt(x, z) {
+    const gx = x / cell;
+    const gz = z / cell;
+    const ix = Math.floor(gx);
+    const iz = Math.floor(gz);
+    const fx = gx - ix;
+    const fz = gz - iz;
+    if (fx + fz <= 1) {
+      const h00 = latticeHeight(ix, iz);
+      return h00 + (latticeHeight(ix + 1, iz) - h00) * fx + (latticeHeight(ix, iz + 1) - h00) * fz;
+    }
+    const h11 = latticeHeight(ix + 1, iz + 1);
+    return (
+      h11 +
+      (latticeHeight(ix, iz + 1) - h11) * (1 - fx) +
+      (latticeHeight(ix + 1, iz) - h11) * (1 - fz)
+    );
+  }
+
+  // All tiles share one index buffer and one material
+  const index = [];
+  for (let iz = 0; iz < TERRAIN_CHUNK_CELLS; iz += 1) {
+    for (let ix = 0; ix < TERRAIN_CHUNK_CELLS; ix += 1) {
+      const a = iz * stride + ix;
+      const b = (iz + 1) * stride + ix;
+      const c = (iz + 1) * stride + ix + 1;
+      const d = iz * stride + ix + 1;
+      index.push(a, b, d, b, c, d);
+    }
+  }
+  const sharedIndex = new THREE.Uint32BufferAttribute(index, 1);
+
+  const material = new THREE.MeshStandardMaterial({
+    color: 0xd4a56a,
+    roughness: 0.9,
+    metalness: 0,
+  });
+
+  const group = new THREE.Group();
+  const tiles = [];
+  const tileCount = (TERRAIN_VIEW_CHUNKS * 2 + 1) ** 2;
+  for (let i = 0; i < tileCount; i += 1) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(sharedIndex);
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(stride * stride * 3, 3));
+    geometry.setAttribute("normal", new THREE.Float32BufferAttribute(stride * stride * 3, 3));
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.receiveShadow = true;
+    mesh.userData.chunkKey = null;
+    tiles.push(mesh);
+    group.add(mesh);
+  }
+
+  // Fills a tile from the lattice. Normals use central differences across tile
+  // borders, so neighbouring tiles agree on their shared edge.
+  function buildTile(mesh, chunkX, chunkZ) {
+    const originX = chunkX * TERRAIN_CHUNK_CELLS;
+    const originZ = chunkZ * TERRAIN_CHUNK_CELLS;
+    const positions = mesh.geometry.attributes.position;
+    const normals = mesh.geometry.attributes.normal;
+    const normal = new THREE.Vector3();
+    for (let iz = 0; iz < stride; iz += 1) {
+      for (let ix = 0; ix < stride; ix += 1) {
+        const gx = originX + ix;
+        const gz = originZ + iz;
+        const i = iz * stride + ix;
+        positions.setXYZ(i, ix * cell, latticeHeight(gx, gz), iz * cell);
+        normal
+          .set(
+            latticeHeight(gx - 1, gz) - latticeHeight(gx + 1, gz),
+            2 * cell,
+            latticeHeight(gx, gz - 1) - latticeHeight(gx, gz + 1)
+          )
+          .normalize();
+        normals.setXYZ(i, normal.x, normal.y, normal.z);
+      }
+    }
+    positions.needsUpdate = true;
+    normals.needsUpdate = true;
+    mesh.geometry.computeBoundingBox();
+    mesh.geometry.computeBoundingSphere();
+    mesh.position.set(chunkX * TERRAIN_CHUNK_SIZE, 0, chunkZ * TERRAIN_CHUNK_SIZE);
+    mesh.userData.chunkKey = `${chunkX},${chunkZ}`;
+  }
+
+  let centerKey = null;
+
+  /**
+   * Recycle tiles so the chunks around (x, z) are loaded; cheap when the
+   * camera stays inside the same chunk
+   */
+  function update(x, z) {
+    const centerX = Math.floor(x / TERRAIN_CHUNK_SIZE);
+    const centerZ = Math.floor(z / TERRAIN_CHUNK_SIZE);
+    const key = `${centerX},${centerZ}`;
+    if (key === centerKey) return;
+    centerKey = key;
+
+    const wanted = new Set();
+    for (let dz = -TERRAIN_VIEW_CHUNKS; dz <= TERRAIN_VIEW_CHUNKS; dz += 1) {
+      for (let dx = -TERRAIN_VIEW_CHUNKS; dx <= TERRAIN_VIEW_CHUNKS; dx += 1) {
+        wanted.add(`${centerX + dx},${centerZ + dz}`);
+      }
+    }
+    const free = [];
+    tiles.forEach((tile) => {
+      if (wanted.has(tile.userData.chunkKey)) {
+        wanted.delete(tile.userData.chunkKey);
+      } else {
+        free.push(tile);
+      }
+    });
+    wanted.forEach((chunkKey) => {
+      const [chunkX, chunkZ] = chunkKey.split(",").map(Number);
+      buildTile(free.pop(), chunkX, chunkZ);
+    });
+  }
+
+  function dispose() {
+    tiles.forEach((tile) => tile.geometry.dispose());
+    material.dispose();
+  }
+
+  return { mesh: group, getHeightAt, update, dispose };
+}
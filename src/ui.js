@@ -5,24 +5,38 @@
 
 import { UI_CONFIG } from "./constants.js";
 
-const { MAX_LOG_ITEMS, TOAST_DURATION_MS } = UI_CONFIG;
+const { MAX_LOG_ITEMS, TOAST_DURATION_MS, MAX_PROMPT_LENGTH } = UI_CONFIG;
 
 export function initUI({
   onEnterWorld,
   onPrompt,
   onDayChange,
+  onDayLengthChange,
+  onWeatherChange,
   onTogglePanel,
   onRequestLocalServerHelp,
   onToggleAudio,
+  onShareWorld,
+  onExportWorld,
+  onImportWorld,
+  onUndo,
+  onRedo,
+  onDeleteSelection,
+  onCloseSelection,
+  onToggleDebug,
 }) {
   const enterButton = document.getElementById("enter-button");
   const enterButtonLabel = document.getElementById("enter-button-label");
   const promptForm = document.getElementById("prompt-form");
   const promptInput = document.getElementById("prompt-input");
+  const promptFresh = document.getElementById("prompt-fresh");
   const promptLog = document.getElementById("prompt-log");
   const lockHint = document.getElementById("lock-hint");
   const statusPill = document.getElementById("status-pill");
   const daySelect = document.getElementById("day-select");
+  const dayLengthInput = document.getElementById("day-length");
+  const dayLengthValue = document.getElementById("day-length-value");
+  const weatherSelect = document.getElementById("weather-select");
   const hudCard = document.getElementById("hud-card");
   const hudToggle = document.getElementById("hud-toggle");
   const panel = document.getElementById("control-panel");
@@ -33,8 +47,26 @@ export function initUI({
   const errorOverlay = document.getElementById("error-overlay");
   const errorOverlayButton = document.getElementById("error-overlay-button");
   const audioToggle = document.getElementById("audio-toggle");
+  const shareButton = document.getElementById("share-button");
+  const exportButton = document.getElementById("export-button");
+  const importButton = document.getElementById("import-button");
+  const importInput = document.getElementById("import-input");
+  const undoButton = document.getElementById("undo-button");
+  const redoButton = document.getElementById("redo-button");
+  const crosshair = document.getElementById("crosshair");
+  const selectionCard = document.getElementById("selection-card");
+  const selectionTitle = document.getElementById("selection-title");
+  const selectionKind = document.getElementById("selection-kind");
+  const selectionSpec = document.getElementById("selection-spec");
+  const selectionDelete = document.getElementById("selection-delete");
+  const selectionClose = document.getElementById("selection-close");
+  const debugReadout = document.getElementById("debug-readout");
   const submitButton = promptForm?.querySelector('button[type="submit"]');
 
+  if (promptInput) {
+    promptInput.maxLength = MAX_PROMPT_LENGTH;
+  }
+
   // Loading state
   let isLoading = false;
 
@@ -87,6 +119,50 @@ export function initUI({
     audioToggle.textContent = enabled ? "Pausar musica" : "Activar musica";
   });
 
+  shareButton?.addEventListener("click", () => {
+    onShareWorld?.();
+  });
+
+  exportButton?.addEventListener("click", () => {
+    onExportWorld?.();
+  });
+
+  importButton?.addEventListener("click", () => {
+    importInput?.click();
+  });
+
+  importInput?.addEventListener("change", () => {
+    const file = importInput.files?.[0];
+    importInput.value = "";
+    if (!file) return;
+    file.text()
+      .then((text) => onImportWorld?.(text))
+      .catch(() => notify("No se pudo leer el archivo"));
+  });
+
+  undoButton?.addEventListener("click", () => {
+    onUndo?.();
+  });
+
+  redoButton?.addEventListener("click", () => {
+    onRedo?.();
+  });
+
+  selectionDelete?.addEventListener("click", () => {
+    onDeleteSelection?.();
+  });
+
+  selectionClose?.addEventListener("click", () => {
+    onCloseSelection?.();
+  });
+
+  // F2 shows or hides the render stats readout
+  document.addEventListener("keydown", (event) => {
+    if (event.code !== "F2" || !debugReadout) return;
+    event.preventDefault();
+    onToggleDebug?.(debugReadout.hidden);
+  });
+
   hudToggle?.addEventListener("click", () => {
     const collapsed = hudCard?.classList.toggle("collapsed");
     hudToggle.textContent = collapsed ? "Mostrar panel" : "Minimizar";
@@ -97,7 +173,7 @@ export function initUI({
     if (isLoading) return;
     const value = promptInput?.value?.trim();
     if (!value) return;
-    onPrompt?.(value);
+    onPrompt?.(value, { fresh: Boolean(promptFresh?.checked) });
   });
 
   document.querySelectorAll(".suggestions span").forEach((span) => {
@@ -114,6 +190,15 @@ export function initUI({
     onDayChange?.(daySelect.value);
   });
 
+  weatherSelect?.addEventListener("change", () => {
+    onWeatherChange?.(weatherSelect.value);
+  });
+
+  dayLengthInput?.addEventListener("input", () => {
+    const seconds = onDayLengthChange?.(Number(dayLengthInput.value));
+    setDayLength(seconds ?? Number(dayLengthInput.value));
+  });
+
   let panelCollapsed = panel?.classList.contains("collapsed") || false;
 
   function updatePanelState(collapsed, { silent } = {}) {
@@ -164,6 +249,7 @@ export function initUI({
   errorOverlayButton?.addEventListener("click", () => window.location.reload());
 
   function markPointerLock(locked) {
+    crosshair?.classList.toggle("active", locked);
     if (!lockHint) return;
     lockHint.textContent = locked
       ? "Modo exploracion — usa WASD y el mouse"
@@ -226,6 +312,71 @@ export function initUI({
     }, duration);
   }
 
+  function setDayStage(stage) {
+    if (daySelect && stage) {
+      daySelect.value = stage;
+    }
+  }
+
+  function setHistoryState({ canUndo, canRedo }) {
+    if (undoButton) undoButton.disabled = !canUndo;
+    if (redoButton) redoButton.disabled = !canRedo;
+  }
+
+  function showSelection(selection) {
+    if (!selectionCard) return;
+    selectionCard.hidden = !selection;
+    if (!selection) return;
+    if (selectionTitle) selectionTitle.textContent = selection.label;
+    if (selectionKind) {
+      selectionKind.textContent = selection.kind === "tag" ? "Tag del paisaje" : `Entidad · ${selection.type}`;
+    }
+    if (selectionSpec) {
+      selectionSpec.replaceChildren();
+      // type is already in the title; quantity describes the whole batch, not this object
+      Object.entries(selection.spec)
+        .filter(([key, value]) => !["type", "quantity"].includes(key) && value !== undefined && value !== null && value !== "")
+        .forEach(([key, value]) => {
+          const term = document.createElement("dt");
+          term.textContent = key;
+          const detail = document.createElement("dd");
+          detail.textContent = typeof value === "object" ? JSON.stringify(value) : String(value);
+          selectionSpec.append(term, detail);
+        });
+    }
+  }
+
+  function setWeather(type) {
+    if (weatherSelect && type) {
+      weatherSelect.value = type;
+    }
+  }
+
+  function setDayLength(seconds) {
+    if (!Number.isFinite(seconds)) return;
+    if (dayLengthInput) dayLengthInput.value = String(seconds);
+    if (dayLengthValue) {
+      dayLengthValue.textContent = seconds < 60 ? `${seconds} s` : `${Math.round((seconds / 60) * 10) / 10} min`;
+    }
+  }
+
+  function setDebugVisible(visible) {
+    if (debugReadout) debugReadout.hidden = !visible;
+  }
+
+  function setRenderStats({ calls, triangles, instances, batches, lod, agents, seed }) {
+    if (!debugReadout) return;
+    const count = triangles >= 1000 ? `${(triangles / 1000).toFixed(1)}k` : String(triangles);
+    debugReadout.textContent = [
+      `Semilla  ${seed}`,
+      `Triangulos  ${count}`,
+      `Draw calls  ${calls}`,
+      `Instancias  ${instances} en ${batches} lotes`,
+      `LOD  alto ${lod.high} · medio ${lod.medium} · bajo ${lod.low} · impostor ${lod.impostor}`,
+      `Animales  ${agents}`,
+    ].join("\n");
+  }
+
   function setStatus(message) {
     if (!statusPill) return;
     statusPill.textContent = message;
@@ -238,6 +389,13 @@ export function initUI({
     }
   }
 
+  // Puts a prompt back in the input, e.g. when the request was refused
+  function restorePromptInput(value) {
+    if (promptInput && !promptInput.value) {
+      promptInput.value = value;
+    }
+  }
+
   function setLoading(loading) {
     isLoading = loading;
 
@@ -272,7 +430,15 @@ export function initUI({
     hideError,
     notify,
     setStatus,
+    setDayStage,
+    setDayLength,
+    setWeather,
+    setHistoryState,
+    showSelection,
+    setDebugVisible,
+    setRenderStats,
     clearPromptInput,
+    restorePromptInput,
     setLoading,
   };
 }
@@ -2,7 +2,11 @@
  * Shared utility functions for UniversoDu
  */
 
-import { ALLOWED_TAGS, ENTITY_TYPE_ALIASES, TAG_LABELS } from "./constants.js";
+import { TAG_LABELS } from "./constants.js";
+import { normalizeEntity, normalizeOperation, normalizeTag } from "../shared/schema.js";
+
+// Type and size resolution live in the shared plan schema
+export { entityLabel, normalizeEntityType, normalizeSize } from "../shared/schema.js";
 
 /**
  * Convert a value to a finite number or return fallback
@@ -43,27 +47,6 @@ export function tagLabel(tag) {
   return TAG_LABELS[tag] || "Nuevo relieve";
 }
 
-/**
- * Normalize entity type using aliases
- */
-export function normalizeEntityType(value) {
-  if (typeof value !== "string") return "";
-  const clean = value.toLowerCase().trim();
-  return ENTITY_TYPE_ALIASES[clean] || clean;
-}
-
-/**
- * Normalize size string to canonical value
- */
-export function normalizeSize(value) {
-  if (typeof value !== "string") return "";
-  const lower = value.toLowerCase().trim();
-  if (["tiny", "pequeno", "pequeño", "small", "mini"].includes(lower)) return "small";
-  if (["medium", "mediano", "media"].includes(lower)) return "medium";
-  if (["huge", "gigantic", "large", "enorme", "gran", "grande", "massive"].includes(lower)) return "large";
-  return "";
-}
-
 /**
  * Sanitize color string
  */
@@ -95,32 +78,14 @@ export function cleanModelOutput(text) {
 
 /**
  * Normalize tags array to Set of valid tags
+ * Spanish words, plurals and typos resolve through the shared lexicon
  */
 export function normalizeTags(list) {
   const cleaned = new Set();
   list.forEach((tag) => {
     if (!tag) return;
-    const normalized = tag.toString().toLowerCase().trim();
-    if (ALLOWED_TAGS.has(normalized)) {
-      cleaned.add(normalized);
-      return;
-    }
-    // Fuzzy matching for Spanish variations
-    if (normalized.includes("oasis")) cleaned.add("oasis");
-    else if (normalized.includes("cact")) cleaned.add("cacti");
-    else if (normalized.includes("ruin") || normalized.includes("templo")) cleaned.add("ruins");
-    else if (normalized.includes("cristal") || normalized.includes("crystal")) cleaned.add("crystals");
-    else if (normalized.includes("luci") || normalized.includes("fuego") || normalized.includes("estre")) cleaned.add("fireflies");
-    else if (normalized.includes("totem") || normalized.includes("escultura")) cleaned.add("totems");
-    else if (normalized.includes("roca") || normalized.includes("piedra") || normalized.includes("meteor")) cleaned.add("rocks");
-    else if (normalized.includes("espej") || normalized.includes("mirage") || normalized.includes("bruma")) cleaned.add("mirage");
-    else if (normalized.includes("criatura") || normalized.includes("ser")) cleaned.add("creatures");
-    else if (normalized.includes("nomada") || normalized.includes("nomada") || normalized.includes("caravana")) cleaned.add("nomads");
-    else if (normalized.includes("estructura") || normalized.includes("torre") || normalized.includes("ciudad")) cleaned.add("structures");
-    else if (normalized.includes("tormenta") || normalized.includes("viento")) cleaned.add("storm");
-    else if (normalized.includes("flora") || normalized.includes("veget")) cleaned.add("flora");
-    else if (normalized.includes("portal")) cleaned.add("portals");
-    else if (normalized.includes("centinela") || normalized.includes("guardian")) cleaned.add("sentinels");
+    const normalized = normalizeTag(tag.toString());
+    if (normalized) cleaned.add(normalized);
   });
   return cleaned;
 }
@@ -170,48 +135,19 @@ export function extractEntities(payload) {
 }
 
 /**
- * Normalize entities array with validation and clamping
+ * Normalize entities array against the shared plan schema (unknown types are dropped)
  */
 export function normalizeEntities(list) {
   if (!Array.isArray(list)) return [];
-  const cleaned = [];
-  list.forEach((entity) => {
-    if (!entity || typeof entity !== "object") return;
-    const typeSource = entity.type ?? entity.entity ?? entity.kind;
-    const type = typeof typeSource === "string" ? typeSource.toLowerCase().trim() : "";
-    if (!type) return;
-    const canonical = ENTITY_TYPE_ALIASES[type] || type;
-    const normalized = {
-      type: canonical,
-      quantity: clampNumber(toFiniteNumber(entity.quantity ?? entity.count ?? 1, 1) || 1, 1, 8),
-    };
-    if (typeof entity.size === "string" && entity.size.trim()) {
-      normalized.size = entity.size.trim().toLowerCase();
-    }
-    if (typeof entity.scale === "number" && Number.isFinite(entity.scale)) {
-      normalized.scale = clampNumber(entity.scale, 0.3, 4);
-    }
-    if (typeof entity.color === "string" && entity.color.trim()) {
-      normalized.color = entity.color.trim().slice(0, 32);
-    }
-    if (typeof entity.trunkColor === "string" && entity.trunkColor.trim()) {
-      normalized.trunkColor = entity.trunkColor.trim().slice(0, 32);
-    }
-    if (typeof entity.foliageColor === "string" && entity.foliageColor.trim()) {
-      normalized.foliageColor = entity.foliageColor.trim().slice(0, 32);
-    }
-    if (typeof entity.detail === "string" && entity.detail.trim()) {
-      normalized.detail = entity.detail.trim().slice(0, 160);
-    }
-    ["floors", "height", "width", "depth", "radius", "length", "spread"].forEach((key) => {
-      const num = toFiniteNumber(entity[key]);
-      if (typeof num === "number") {
-        normalized[key] = num;
-      }
-    });
-    cleaned.push(normalized);
-  });
-  return cleaned;
+  return list.map(normalizeEntity).filter(Boolean);
+}
+
+/**
+ * Normalize scene edit operations (remove, recolor, scale, move) against the shared plan schema
+ */
+export function normalizeOperations(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map(normalizeOperation).filter((operation) => operation && operation.op !== "add");
 }
 
 /**
@@ -230,7 +166,8 @@ export function parseAiJson(rawText) {
 }
 
 /**
- * Fetch with timeout using AbortController
+ * Fetch with timeout using AbortController. The timeout covers the request up
+ * to the response headers; streamed bodies are guarded by readNdjson().
  */
 export function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
   const controller = new AbortController();
@@ -243,3 +180,47 @@ export function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
     clearTimeout(timeoutId);
   });
 }
+
+/**
+ * Read an NDJSON response body, calling onEvent with each parsed line as it arrives.
+ * fetchWithTimeout() only covers the headers, so idleTimeoutMs (when set)
+ * fails the read if the body stalls that long between chunks. On any error
+ * (a stall, a bad line, onEvent throwing) the body is cancelled.
+ */
+export async function readNdjson(response, onEvent, { idleTimeoutMs = 0 } = {}) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let finished = false;
+  const emit = (line) => {
+    if (line.trim()) onEvent(JSON.parse(line));
+  };
+  try {
+    for (;;) {
+      const { done, value } = await readChunk(reader, idleTimeoutMs);
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.forEach(emit);
+    }
+    emit(buffer + decoder.decode());
+    finished = true;
+  } finally {
+    if (finished) {
+      reader.releaseLock();
+    } else {
+      reader.cancel().catch(() => {});
+    }
+  }
+}
+
+// reader.read(), rejected if no chunk arrives within timeoutMs (0 waits forever)
+function readChunk(reader, timeoutMs) {
+  if (!timeoutMs) return reader.read();
+  let timeoutId = null;
+  const timeout = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => reject(new Error("La IA dejo de responder")), timeoutMs);
+  });
+  return Promise.race([reader.read(), timeout]).finally(() => clearTimeout(timeoutId));
+}
@@ -0,0 +1,184 @@
+/**
+ * Weather module for UniversoDu
+ * World-level weather state: fog, light, dust wind, rain and lightning flashes
+ */
+
+import * as THREE from "three";
+import { WORLD_CONFIG, WEATHER_PRESETS, DEFAULT_WEATHER } from "./constants.js";
+
+const { RAIN_DROP_COUNT, WEATHER_TRANSITION_SECONDS } = WORLD_CONFIG;
+
+// Rain volume around the camera
+const RAIN_RADIUS = 150;
+const RAIN_HEIGHT = 120;
+const RAIN_SPEED = 90;
+const RAIN_STREAK = 1.8;
+
+const WEATHER_ALIASES = {
+  clear: "despejado",
+  sunny: "despejado",
+  soleado: "despejado",
+  sandstorm: "tormenta_arena",
+  dust: "tormenta_arena",
+  arena: "tormenta_arena",
+  rain: "lluvia",
+  rainy: "lluvia",
+  thunderstorm: "tormenta_electrica",
+  lightning: "tormenta_electrica",
+  electric: "tormenta_electrica",
+  electrica: "tormenta_electrica",
+  storm: "tormenta_electrica",
+  tormenta: "tormenta_electrica",
+};
+
+/**
+ * Map a preset key or a loose alias ("sandstorm", "lluvia") to a preset key, or null
+ */
+export function resolveWeather(value) {
+  if (typeof value !== "string") return null;
+  const key = value.trim().toLowerCase().replace(/\s+/g, "_");
+  if (WEATHER_PRESETS[key]) return key;
+  return WEATHER_ALIASES[key] || null;
+}
+
+/**
+ * Pick the weather a storm tag/entity brings, from its spec hints (electric storm by default)
+ */
+export function weatherForStorm(spec = {}) {
+  const explicit = resolveWeather(spec.weather);
+  if (explicit) return explicit;
+  const hint = [spec.variant, spec.style, spec.name, spec.description]
+    .filter((value) => typeof value === "string")
+    .join(" ")
+    .toLowerCase();
+  if (/arena|sand|polvo|dust/.test(hint)) return "tormenta_arena";
+  if (/lluvia|rain|llovizna/.test(hint)) return "lluvia";
+  return "tormenta_electrica";
+}
+
+/**
+ * Create the weather controller. Values ease toward the active preset so
+ * changes roll in over WEATHER_TRANSITION_SECONDS.
+ */
+export function createWeather(scene) {
+  let current = DEFAULT_WEATHER;
+  const preset = WEATHER_PRESETS[DEFAULT_WEATHER];
+  const state = {
+    fog: preset.fog,
+    light: preset.light,
+    tint: preset.tint,
+    dust: preset.dust,
+    wind: preset.wind,
+    rain: preset.rain,
+  };
+  const tintColor = new THREE.Color(preset.tintColor);
+  const targetTint = new THREE.Color(preset.tintColor);
+  const white = new THREE.Color(0xffffff);
+
+  let flash = 0;
+  let nextStrike = 0;
+
+  // Rain streaks: two vertices per drop, positioned relative to the camera
+  const rainPositions = new Float32Array(RAIN_DROP_COUNT * 6);
+  for (let i = 0; i < RAIN_DROP_COUNT; i += 1) {
+    const x = (Math.random() - 0.5) * RAIN_RADIUS * 2;
+    const y = Math.random() * RAIN_HEIGHT;
+    const z = (Math.random() - 0.5) * RAIN_RADIUS * 2;
+    rainPositions.set([x, y, z, x, y + RAIN_STREAK, z], i * 6);
+  }
+  const rainGeometry = new THREE.BufferGeometry();
+  rainGeometry.setAttribute("position", new THREE.BufferAttribute(rainPositions, 3));
+  const rain = new THREE.LineSegments(
+    rainGeometry,
+    new THREE.LineBasicMaterial({
+      color: 0xa8c8ff,
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+    })
+  );
+  rain.frustumCulled = false;
+  rain.visible = false;
+  scene.add(rain);
+
+  function set(type) {
+    const key = resolveWeather(type) || DEFAULT_WEATHER;
+    current = key;
+    targetTint.setHex(WEATHER_PRESETS[key].tintColor);
+    nextStrike = 1 + Math.random() * 3;
+    return key;
+  }
+
+  function update(delta, anchor) {
+    const target = WEATHER_PRESETS[current];
+    const ease = 1 - Math.exp(-delta * (4 / WEATHER_TRANSITION_SECONDS));
+    Object.keys(state).forEach((key) => {
+      state[key] += (target[key] - state[key]) * ease;
+    });
+    tintColor.lerp(targetTint, ease);
+
+    updateRain(delta, anchor);
+
+    flash *= Math.exp(-delta * 7);
+    if (target.lightning) {
+      nextStrike -= delta;
+      if (nextStrike <= 0) {
+        flash = 1;
+        // Occasionally a quick double strike
+        nextStrike = Math.random() < 0.3 ? 0.15 : 2 + Math.random() * 6;
+      }
+    }
+  }
+
+  function updateRain(delta, anchor) {
+    rain.visible = state.rain > 0.02;
+    rain.material.opacity = 0.45 * state.rain;
+    if (!rain.visible) return;
+    // The volume starts a little below the camera so drops reach the sand
+    rain.position.set(anchor.x, anchor.y - 20, anchor.z);
+    const fall = RAIN_SPEED * delta;
+    const drift = state.wind * delta * 0.3;
+    const slant = state.wind * 0.02;
+    for (let i = 0; i < RAIN_DROP_COUNT; i += 1) {
+      const offset = i * 6;
+      let x = rainPositions[offset] + drift;
+      let y = rainPositions[offset + 1] - fall;
+      if (y < 0) y += RAIN_HEIGHT;
+      if (x > RAIN_RADIUS) x -= RAIN_RADIUS * 2;
+      rainPositions[offset] = x;
+      rainPositions[offset + 1] = y;
+      rainPositions[offset + 3] = x - slant;
+      rainPositions[offset + 4] = y + RAIN_STREAK;
+    }
+    rainGeometry.attributes.position.needsUpdate = true;
+  }
+
+  /**
+   * Write the day-cycle base values, modified by the weather, into the scene
+   * ({ skyColor, fogColor, fogDensity, ambientIntensity, sunIntensity })
+   */
+  function applyAtmosphere(base, { ambient, sun, sky }) {
+    scene.fog.density = base.fogDensity * state.fog;
+    scene.fog.color.copy(base.fogColor).lerp(tintColor, state.tint);
+    scene.background.copy(base.skyColor).lerp(tintColor, state.tint * 0.8).lerp(white, flash * 0.35);
+    sky.material.color.copy(scene.background);
+    ambient.intensity = base.ambientIntensity * state.light + flash * 1.5;
+    sun.intensity = base.sunIntensity * state.light + flash * 0.8;
+  }
+
+  function dispose() {
+    scene.remove(rain);
+    rainGeometry.dispose();
+    rain.material.dispose();
+  }
+
+  return {
+    set,
+    get: () => current,
+    update,
+    applyAtmosphere,
+    getDustSpeed: () => state.dust,
+    getWind: () => state.wind,
+    dispose,
+  };
+}
@@ -6,7 +6,16 @@
 import * as THREE from "three";
 import { PointerLockControls } from "three/addons/controls/PointerLockControls.js";
 import { createSpatialTrack } from "./audio.js";
-import { WORLD_CONFIG, DAY_STAGES } from "./constants.js";
+import { WORLD_CONFIG, DAY_STAGES, DAY_CYCLE_STAGE, DAY_CYCLE_KEYFRAMES } from "./constants.js";
+import { createRng, randomSeed, toSeed } from "./random.js";
+import { createTerrain } from "./terrain.js";
+import { createCollisionWorld } from "./collision.js";
+import { createInstanceBatches } from "./instancing.js";
+import { createAgentSystem } from "./agents.js";
+import { currentLevelName } from "./lod.js";
+import { updateGait } from "./locomotion.js";
+import { createWeather, resolveWeather, weatherForStorm } from "./weather.js";
+import { entityLabel, normalizeEntityType } from "./utils.js";
 import {
   getDuneMaterial,
   getDustMaterial,
@@ -26,12 +35,30 @@ import {
 } from "./materials.js";
 import {
   tagLabel,
+  resolveColor,
   TAG_SPAWNERS,
   ENTITY_SPAWNERS,
-  spawnMirage,
 } from "./spawners.js";
 
-const { MAX_PROMPT_OBJECTS, WALK_SPEED, CAMERA_HEIGHT, TERRAIN_SIZE, DUST_PARTICLE_COUNT } = WORLD_CONFIG;
+const {
+  MAX_PROMPT_OBJECTS,
+  WALK_SPEED,
+  CAMERA_HEIGHT,
+  PLAYER_RADIUS,
+  DUST_PARTICLE_COUNT,
+  SNAPSHOT_VERSION,
+  MAX_UNDO_STEPS,
+  DAY_LENGTH_SECONDS,
+  MIN_DAY_LENGTH_SECONDS,
+  MAX_DAY_LENGTH_SECONDS,
+} = WORLD_CONFIG;
+
+// Distance of the sun/moon light from the point it follows
+const SUN_LIGHT_DISTANCE = 220;
+
+// Directions the sun disk and moon are modelled at; the cycle rotates them from here
+const SUN_DISK_DIRECTION = new THREE.Vector3(-400, 600, -800).normalize();
+const MOON_DIRECTION = new THREE.Vector3(-500, 300, -400).normalize();
 
 const BASE_URL =
   (typeof import.meta !== "undefined" && import.meta.env?.BASE_URL) || "/";
@@ -53,7 +80,21 @@ function withBasePath(assetPath) {
 
 export { tagLabel };
 
-export function createWorld(canvas, { onPointerLockChange, onPointerLockError }) {
+export function createWorld(
+  canvas,
+  {
+    onPointerLockChange,
+    onPointerLockError,
+    onHistoryChange,
+    onSelectionChange,
+    onObjectDeleted,
+    onWeatherChange,
+    seed,
+  }
+) {
+  // World seed drives the terrain and the initial landscape
+  const worldSeed = seed === undefined || seed === null ? randomSeed() : toSeed(seed);
+
   // Renderer setup
   const renderer = new THREE.WebGLRenderer({
     canvas,
@@ -98,59 +139,116 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
   sun.shadow.camera.near = 0.5;
   sun.shadow.camera.far = 500;
   scene.add(sun);
+  scene.add(sun.target);
 
   const rim = new THREE.DirectionalLight(0xf7f0ff, 0.2);
   rim.position.set(120, 60, 80);
   scene.add(rim);
 
+  // Sky, celestial bodies, clouds and dust travel with the camera (on XZ) so
+  // the horizon never runs out; terrain and prompt objects stay in world space
+  const skyRig = new THREE.Group();
+  scene.add(skyRig);
+
   // Sky dome
   const sky = new THREE.Mesh(
     new THREE.SphereGeometry(1200, 32, 32),
     getSkyMaterial()
   );
-  scene.add(sky);
+  skyRig.add(sky);
 
   // Starfield
   const starfield = createStarfield();
-  scene.add(starfield);
+  skyRig.add(starfield);
 
   // Moon
   const moon = createMoon();
-  scene.add(moon);
+  skyRig.add(moon);
 
   // Planets in the sky
   const planets = createPlanets();
-  scene.add(planets);
+  skyRig.add(planets);
 
   // Terrain - added first to ensure proper rendering
-  const dunes = createDunes();
-  scene.add(dunes);
+  const terrain = createTerrain(worldSeed);
+  const { getHeightAt } = terrain;
+  scene.add(terrain.mesh);
+  terrain.update(camera.position.x, camera.position.z);
+  camera.position.y = getHeightAt(camera.position.x, camera.position.z) + CAMERA_HEIGHT;
 
   // Dust particles
   const dustLayer = createDust();
-  scene.add(dustLayer.points);
+  skyRig.add(dustLayer.points);
 
   // Atmospheric effects (optional, added after terrain)
   const sunDisk = createSunDisk();
-  scene.add(sunDisk);
+  skyRig.add(sunDisk);
 
   const clouds = createClouds();
-  scene.add(clouds);
+  skyRig.add(clouds);
+
+  // Weather (fog, light, rain and lightning on top of the day cycle)
+  const weather = createWeather(scene);
+
+  // Solid bounds of prompt objects and the shrine
+  const collisions = createCollisionWorld();
 
   // Priest shrine
   const priestShrine = createPriestShrine({
     scene,
     camera,
     trackUrl: PRIEST_TRACK_URL,
+    getHeightAt,
+    collisions,
   });
 
   // Prompt objects management
   const promptGroup = new THREE.Group();
   scene.add(promptGroup);
   const promptObjects = [];
+  // Draws the shared-geometry pieces of prompt objects (kept outside promptGroup
+  // so picking only ever hits the proxies)
+  const instances = createInstanceBatches(scene);
+  const agents = createAgentSystem({ getHeightAt, listObjects: () => promptObjects });
 
   // Animated objects tracking
   const animatedObjects = [];
+  // Level-of-detail objects inside prompt objects (for the render stats)
+  const lodObjects = [];
+
+  // Current day stage (kept for snapshots) and time of day (0 = midnight, 0.5 = noon)
+  let currentDayStage = "amanecer";
+  let timeOfDay = DAY_STAGES.amanecer.time;
+  let dayLength = DAY_LENGTH_SECONDS;
+  // Day-cycle values before weather is applied on top of them
+  const atmosphere = {
+    skyColor: new THREE.Color(),
+    fogColor: new THREE.Color(),
+    fogDensity: 0,
+    ambientIntensity: 0,
+    sunIntensity: 0,
+  };
+  const sunDirection = new THREE.Vector3();
+  const lightDirection = new THREE.Vector3();
+  const tmpColor = new THREE.Color();
+  const tmpVector = new THREE.Vector3();
+
+  // Plans applied since the last import, in order (used by share links)
+  const planHistory = [];
+
+  // Undo/redo: each transaction keeps an ordered journal of the records it
+  // added, removed (with their queue index) and replaced
+  const undoStack = [];
+  const redoStack = [];
+  let openTransaction = null;
+  // Set while a streamed plan is arriving; history is frozen until it finishes
+  let activePlanSession = null;
+
+  // Selection (raycast picking against promptGroup)
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let selectedObject = null;
+  let selectionHelper = null;
 
   // Animation state
   const clock = new THREE.Clock();
@@ -173,6 +271,25 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
   }
 
   function handleKey(event, isPressed) {
+    if (isPressed && (event.ctrlKey || event.metaKey) && event.code === "KeyZ") {
+      // Leave text fields to their native undo
+      if (isTextField(event.target)) return;
+      event.preventDefault();
+      if (event.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+      return;
+    }
+
+    if (isPressed && (event.code === "Delete" || event.code === "Backspace")) {
+      if (isTextField(event.target) || !selectedObject) return;
+      event.preventDefault();
+      deleteSelected();
+      return;
+    }
+
     switch (event.code) {
       case "KeyW":
       case "ArrowUp":
@@ -195,6 +312,25 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
     }
   }
 
+  // While locked the pick ray goes through the crosshair; otherwise through the cursor
+  function handlePick(event) {
+    if (event.button !== 0) return;
+    if (controls.isLocked) {
+      pointer.set(0, 0);
+    } else if (event.target === canvas) {
+      const rect = canvas.getBoundingClientRect();
+      pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+    } else {
+      return;
+    }
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObject(promptGroup, true)[0];
+    selectObject(hit ? findPromptRoot(hit.object) : null);
+  }
+
   function handleVisibilityChange() {
     isTabVisible = !document.hidden;
     if (isTabVisible && !animationFrameId) {
@@ -213,6 +349,7 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
   // Register event listeners
   document.addEventListener("keydown", handleKeyDown);
   document.addEventListener("keyup", handleKeyUp);
+  document.addEventListener("click", handlePick);
   document.addEventListener("visibilitychange", handleVisibilityChange);
   window.addEventListener("resize", handleResize);
 
@@ -248,7 +385,18 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
       controls.moveForward(-velocity.z * delta);
     }
 
-    camera.position.y = THREE.MathUtils.lerp(camera.position.y, CAMERA_HEIGHT, 0.1);
+    const groundHeight = getHeightAt(camera.position.x, camera.position.z);
+    collisions.resolve(camera.position, PLAYER_RADIUS, groundHeight, groundHeight + CAMERA_HEIGHT + 0.2);
+    const eyeHeight = getHeightAt(camera.position.x, camera.position.z) + CAMERA_HEIGHT;
+    camera.position.y = THREE.MathUtils.lerp(camera.position.y, eyeHeight, 0.1);
+  }
+
+  // Streams terrain tiles and drags the sky rig and sun light along with the camera
+  function followCamera() {
+    terrain.update(camera.position.x, camera.position.z);
+    skyRig.position.set(camera.position.x, 0, camera.position.z);
+    sun.target.position.copy(skyRig.position);
+    sun.position.copy(lightDirection).multiplyScalar(SUN_LIGHT_DISTANCE).add(skyRig.position);
   }
 
   function animate() {
@@ -260,49 +408,282 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
 
     const delta = Math.min(clock.getDelta(), 0.1);
     const time = performance.now() * 0.001;
-    updateDust(dustLayer, delta);
+    weather.update(delta, camera.position);
+    weather.applyAtmosphere(atmosphere, { ambient, sun, sky });
+    updateDust(dustLayer, delta, weather.getDustSpeed(), weather.getWind());
     updateClouds(clouds, delta, time);
-    updateAnimatedObjects(animatedObjects, time);
+    updateAnimatedObjects(animatedObjects, time, delta);
     updateMovement(delta);
+    agents.update(delta, camera.position);
+    updateDayCycle(delta);
+    followCamera();
+    selectionHelper?.update();
     priestShrine?.update?.();
     renderer.render(scene, camera);
+    // The render just refreshed the proxies' world matrices; instances follow next frame
+    instances.update();
     animationFrameId = requestAnimationFrame(animate);
   }
 
   // Start animation
+  applyTimeOfDay(timeOfDay);
   animate();
 
   // Object registration with pool management
-  function registerPromptObject(object) {
-    promptObjects.push(object);
+  function registerPromptObject(object, { index = promptObjects.length } = {}) {
+    promptObjects.splice(index, 0, object);
     promptGroup.add(object);
+    const record = object.userData.promptRecord;
+    // Animals walk around, so they get no fixed collider
+    if (!agents.add(object, record?.kind === "entity" ? normalizeEntityType(record.type) : "")) {
+      collisions.add(object);
+    }
+    instances.add(object, record?.type || "");
 
-    // Scan for animated objects
+    // Scan for animated and level-of-detail objects
     object.traverse?.((child) => {
       if (child.userData?.animated) {
         animatedObjects.push(child);
       }
+      if (child.isLOD) {
+        lodObjects.push(child);
+      }
     });
 
     if (promptObjects.length > MAX_PROMPT_OBJECTS) {
-      const stale = promptObjects.shift();
-      if (stale) {
-        // Remove animated references
-        stale.traverse?.((child) => {
-          const idx = animatedObjects.indexOf(child);
-          if (idx !== -1) animatedObjects.splice(idx, 1);
-        });
-        promptGroup.remove(stale);
-        disposeObject(stale);
+      evictPromptObject(promptObjects[0]);
+    }
+  }
+
+  // FIFO eviction is part of the open transaction so undo can bring it back
+  function evictPromptObject(object) {
+    const record = object.userData.promptRecord;
+    if (record) {
+      openTransaction?.steps.push({ type: "remove", record, index: 0 });
+    }
+    removePromptObject(object);
+  }
+
+  function removePromptObject(object) {
+    const index = promptObjects.indexOf(object);
+    if (index === -1) return;
+    promptObjects.splice(index, 1);
+    if (object === selectedObject) {
+      selectObject(null);
+    }
+    // Remove animated and level-of-detail references
+    object.traverse?.((child) => {
+      const idx = animatedObjects.indexOf(child);
+      if (idx !== -1) animatedObjects.splice(idx, 1);
+      const lodIndex = lodObjects.indexOf(child);
+      if (lodIndex !== -1) lodObjects.splice(lodIndex, 1);
+    });
+    promptGroup.remove(object);
+    collisions.remove(object);
+    instances.remove(object);
+    agents.remove(object);
+    disposeObject(object);
+  }
+
+  function clearPromptObjects() {
+    while (promptObjects.length) {
+      removePromptObject(promptObjects[promptObjects.length - 1]);
+    }
+  }
+
+  // Builds a prompt object from its record ({ kind, type, spec, center, seed })
+  // and keeps the record on the object so the scene can be serialized.
+  function spawnRecord(record, { index, tracked = true } = {}) {
+    const spawner =
+      record.kind === "tag"
+        ? TAG_SPAWNERS[record.type]
+        : ENTITY_SPAWNERS[record.type] || ENTITY_SPAWNERS[normalizeEntityType(record.type)];
+    if (!spawner) return null;
+    const center = new THREE.Vector3().fromArray(record.center);
+    const object = spawner(center, record.spec, createRng(record.seed));
+    if (!object) return null;
+    const perChild = record.kind === "tag" || object.userData.groundChildren;
+    applyRecordEdits(object, record.spec, perChild);
+    groundObject(object, perChild);
+    object.userData.promptRecord = record;
+    registerPromptObject(object, { index });
+    // Logged after registering, so an eviction it caused comes first in the journal
+    if (tracked) openTransaction?.steps.push({ type: "add", record });
+    return object;
+  }
+
+  // Edits made by plan operations live in the spec (tint, resize), so rebuilding
+  // a record from its seed reproduces them
+  function applyRecordEdits(object, spec, perChild) {
+    const resize = Number(spec.resize);
+    if (Number.isFinite(resize) && resize > 0 && resize !== 1) {
+      (perChild ? object.children : [object]).forEach((part) => part.scale.multiplyScalar(resize));
+    }
+    const tint = spec.tint ? resolveColor(spec.tint) : null;
+    if (!tint) return;
+    object.traverse((child) => {
+      if (!child.material) return;
+      const tinted = (material) => {
+        if (!material.color) return material;
+        const copy = material.clone();
+        copy.color.copy(tint);
+        if (copy.emissive && copy.emissive.getHex() !== 0) {
+          copy.emissive.copy(tint);
+        }
+        return copy;
+      };
+      child.material = Array.isArray(child.material) ? child.material.map(tinted) : tinted(child.material);
+    });
+  }
+
+  // Spawners build on y = 0. Single objects are lifted as a unit; tag clusters
+  // (children placed in world space) rest each child on the sand under it.
+  function groundObject(object, perChild) {
+    if (!perChild) {
+      object.position.y += getHeightAt(object.position.x, object.position.z);
+      return;
+    }
+    object.updateMatrixWorld(true);
+    const worldPosition = new THREE.Vector3();
+    object.children.forEach((child) => {
+      child.getWorldPosition(worldPosition);
+      const lift = getHeightAt(worldPosition.x, worldPosition.z) / (object.scale.y || 1);
+      child.position.y += lift;
+      if (typeof child.userData.baseY === "number") {
+        child.userData.baseY += lift;
+      }
+    });
+  }
+
+  function removeRecordObject(record) {
+    const object = promptObjects.find((candidate) => candidate.userData.promptRecord === record);
+    if (object) removePromptObject(object);
+  }
+
+  // Removes prompt objects by record id inside the open transaction
+  function removeRecordsById(ids) {
+    ids.forEach((id) => {
+      const index = promptObjects.findIndex((object) => recordId(object.userData.promptRecord) === id);
+      if (index === -1) return;
+      const object = promptObjects[index];
+      openTransaction?.steps.push({ type: "remove", record: object.userData.promptRecord, index });
+      removePromptObject(object);
+    });
+  }
+
+  function createTransaction(meta) {
+    return { steps: [], planEntry: null, weather: null, meta: meta || {} };
+  }
+
+  // Runs fn with the transaction open, so every spawn and removal is journaled
+  function withTransaction(transaction, fn) {
+    const previous = openTransaction;
+    openTransaction = transaction;
+    try {
+      return fn();
+    } finally {
+      openTransaction = previous;
+    }
+  }
+
+  function commitTransaction(transaction) {
+    if (!transaction.steps.length && !transaction.weather) {
+      return null;
+    }
+    undoStack.push(transaction);
+    if (undoStack.length > MAX_UNDO_STEPS) {
+      undoStack.shift();
+    }
+    redoStack.length = 0;
+    if (transaction.planEntry) {
+      planHistory.push(transaction.planEntry);
+    }
+    notifyHistoryChange();
+    return transaction;
+  }
+
+  // Walk a journal backwards; every index refers to the state at that step
+  function revertSteps(steps) {
+    steps
+      .slice()
+      .reverse()
+      .forEach((step) => {
+        if (step.type === "add") {
+          removeRecordObject(step.record);
+        } else if (step.type === "remove") {
+          spawnRecord(step.record, { index: step.index });
+        } else {
+          removeRecordObject(step.to);
+          spawnRecord(step.from, { index: step.index });
+        }
+      });
+  }
+
+  function undo() {
+    if (activePlanSession) return null;
+    const transaction = undoStack.pop();
+    if (!transaction) return null;
+    revertSteps(transaction.steps);
+    if (transaction.weather) {
+      setWeather(transaction.weather.from);
+    }
+    if (transaction.planEntry) {
+      const index = planHistory.lastIndexOf(transaction.planEntry);
+      if (index !== -1) planHistory.splice(index, 1);
+    }
+    redoStack.push(transaction);
+    notifyHistoryChange("undo", transaction.meta);
+    return transaction.meta;
+  }
+
+  function redo() {
+    if (activePlanSession) return null;
+    const transaction = redoStack.pop();
+    if (!transaction) return null;
+    transaction.steps.forEach((step) => {
+      if (step.type === "add") {
+        spawnRecord(step.record);
+      } else if (step.type === "remove") {
+        removeRecordObject(step.record);
+      } else {
+        removeRecordObject(step.from);
+        spawnRecord(step.to, { index: step.index });
       }
+    });
+    if (transaction.weather) {
+      setWeather(transaction.weather.to);
     }
+    if (transaction.planEntry) {
+      planHistory.push(transaction.planEntry);
+    }
+    undoStack.push(transaction);
+    notifyHistoryChange("redo", transaction.meta);
+    return transaction.meta;
   }
 
-  function randomAroundCamera(minDist = 40, maxDist = 140) {
-    const angle = Math.random() * Math.PI * 2;
-    const distance = minDist + Math.random() * (maxDist - minDist);
-    const x = camera.position.x + Math.cos(angle) * distance;
-    const z = camera.position.z + Math.sin(angle) * distance;
+  function clearHistory() {
+    activePlanSession = null;
+    undoStack.length = 0;
+    redoStack.length = 0;
+    planHistory.length = 0;
+    notifyHistoryChange();
+  }
+
+  // action is "undo" or "redo" when the change came from stepping through history
+  function notifyHistoryChange(action = null, meta = null) {
+    onHistoryChange?.({
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      action,
+      meta,
+    });
+  }
+
+  function randomAroundCamera(rng, minDist = 40, maxDist = 140, origin = camera.position) {
+    const angle = rng() * Math.PI * 2;
+    const distance = minDist + rng() * (maxDist - minDist);
+    const x = origin.x + Math.cos(angle) * distance;
+    const z = origin.z + Math.sin(angle) * distance;
     return new THREE.Vector3(x, 0, z);
   }
 
@@ -343,7 +724,7 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
     return [min, max];
   }
 
-  function spawnHandlers(tag) {
+  function spawnHandlers(tag, rng, origin) {
     const spawner = TAG_SPAWNERS[tag];
     if (spawner) {
       const distanceRanges = {
@@ -364,54 +745,577 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
         sentinels: [80, 160],
       };
       const [minDist, maxDist] = distanceRanges[tag] || [40, 140];
-      registerPromptObject(spawner(randomAroundCamera(minDist, maxDist)));
+      spawnRecord({
+        kind: "tag",
+        type: tag,
+        spec: {},
+        center: randomAroundCamera(rng, minDist, maxDist, origin).toArray(),
+        seed: randomSeed(rng),
+      });
     } else {
-      registerPromptObject(spawnMirage(randomAroundCamera()));
+      spawnRecord({
+        kind: "tag",
+        type: "mirage",
+        spec: {},
+        center: randomAroundCamera(rng, 40, 140, origin).toArray(),
+        seed: randomSeed(rng),
+      });
+    }
+  }
+
+  function spawnFromTags(tags, rng = createRng(randomSeed()), origin = camera.position) {
+    tags.forEach((tag) => spawnHandlers(tag, rng, origin));
+  }
+
+  // Compass bearing in degrees (0 = north, -Z; 90 = east, +X) from a point
+  function pointFromBearing(from, bearing, distance) {
+    const angle = THREE.MathUtils.degToRad(bearing);
+    return new THREE.Vector3(from.x + Math.sin(angle) * distance, 0, from.z - Math.cos(angle) * distance);
+  }
+
+  function scatterAround(center, rng, radius) {
+    const angle = rng() * Math.PI * 2;
+    const distance = radius * Math.sqrt(rng());
+    return new THREE.Vector3(center.x + Math.cos(angle) * distance, 0, center.z + Math.sin(angle) * distance);
+  }
+
+  // Centers for every copy of an entity with a placement hint, or null to
+  // fall back to random scatter (no hint, or a target that never spawned)
+  function placementCenters(entity, quantity, rng, origin, findAnchor) {
+    const placement = entity.placement;
+    if (!placement || typeof placement !== "object") return null;
+    const sizeScale = specSizeToScale(entity.size, entity.scale);
+    const distance = Number(placement.distance);
+    const hasDistance = placement.distance !== undefined && Number.isFinite(distance);
+    const copies = (build) => Array.from({ length: quantity }, (_, i) => build(i));
+
+    if (Array.isArray(placement.between)) {
+      const [a, b] = placement.between.map(findAnchor);
+      if (!a || !b) return null;
+      return copies((i) => a.clone().lerp(b, (i + 1) / (quantity + 1)));
     }
+    if (placement.near || placement.around) {
+      const target = findAnchor(placement.near || placement.around);
+      if (!target) return null;
+      const radius = hasDistance ? distance : 25 * sizeScale;
+      if (placement.around) {
+        const start = rng() * Math.PI * 2;
+        return copies((i) => pointFromBearing(target, THREE.MathUtils.radToDeg(start) + (i / quantity) * 360, radius));
+      }
+      if (Number.isFinite(placement.bearing)) {
+        const anchor = pointFromBearing(target, placement.bearing, radius);
+        return copies((i) => (i === 0 ? anchor : scatterAround(anchor, rng, 8 * sizeScale)));
+      }
+      return copies(() => pointFromBearing(target, rng() * 360, radius * (0.6 + rng() * 0.8)));
+    }
+
+    let anchor = null;
+    if (Number.isFinite(placement.x) && Number.isFinite(placement.z)) {
+      anchor = new THREE.Vector3(placement.x, 0, placement.z);
+    } else if (Number.isFinite(placement.bearing)) {
+      const [minDist, maxDist] = instructionDistanceRange(entity);
+      anchor = pointFromBearing(origin, placement.bearing, hasDistance ? distance : minDist + rng() * (maxDist - minDist));
+    }
+    if (!anchor) return null;
+    return copies((i) => (i === 0 ? anchor : scatterAround(anchor, rng, 8 * sizeScale)));
   }
 
-  function spawnFromTags(tags) {
-    tags.forEach((tag) => spawnHandlers(tag));
+  function placementTargets(entity) {
+    const placement = entity.placement;
+    if (!placement || typeof placement !== "object") return [];
+    if (Array.isArray(placement.between)) return placement.between;
+    const target = placement.near || placement.around;
+    return target ? [target] : [];
   }
 
-  function spawnFromEntities(entities = []) {
-    entities.forEach((entity) => {
-      if (!entity || typeof entity !== "object") return;
-      const type = typeof entity.type === "string" ? entity.type.toLowerCase() : "";
-      const handler = ENTITY_SPAWNERS[type];
-      if (!handler) return;
+  // Places entities as they are added. One that is placed relative to others
+  // waits until its targets exist; flush() scatters whatever is still waiting
+  // (unknown or circular target). Plans without relations keep their order.
+  function createEntityPlacer(rng, origin) {
+    const entityType = (entity) => normalizeEntityType(entity.type);
+    const pending = [];
+    // Where each entity of this plan ended up, by id and by type (first one wins)
+    const anchors = new Map();
+    const findAnchor = (key) => {
+      const name = String(key).toLowerCase();
+      return anchors.get(name) || anchors.get(normalizeEntityType(name)) || null;
+    };
+
+    function place(entity) {
+      const type = entityType(entity);
       const quantity = clampInstructionQuantity(entity.quantity);
+      const centers = placementCenters(entity, quantity, rng, origin, findAnchor);
+      const centroid = new THREE.Vector3();
       for (let i = 0; i < quantity; i += 1) {
         const [minDist, maxDist] = instructionDistanceRange(entity);
-        const center = randomAroundCamera(minDist, maxDist);
-        const object = handler(center, entity);
-        if (object) {
-          registerPromptObject(object);
+        const center = centers ? centers[i] : randomAroundCamera(rng, minDist, maxDist, origin);
+        centroid.add(center);
+        spawnRecord({
+          kind: "entity",
+          type,
+          spec: { ...entity },
+          center: center.toArray(),
+          seed: randomSeed(rng),
+        });
+      }
+      centroid.divideScalar(quantity);
+      [entity.id, type].forEach((key) => {
+        const name = typeof key === "string" ? key.toLowerCase() : "";
+        if (name && !anchors.has(name)) anchors.set(name, centroid);
+      });
+    }
+
+    function placeReady() {
+      let index = pending.findIndex((entity) => placementTargets(entity).every(findAnchor));
+      while (index !== -1) {
+        place(pending.splice(index, 1)[0]);
+        index = pending.findIndex((entity) => placementTargets(entity).every(findAnchor));
+      }
+    }
+
+    return {
+      add(entity) {
+        if (!entity || typeof entity !== "object" || !ENTITY_SPAWNERS[entityType(entity)]) return;
+        pending.push(entity);
+        placeReady();
+      },
+      flush() {
+        while (pending.length) {
+          place(pending.shift());
+          placeReady();
         }
+      },
+    };
+  }
+
+  function spawnFromEntities(entities = [], rng = createRng(randomSeed()), origin = camera.position) {
+    const placer = createEntityPlacer(rng, origin);
+    entities.forEach(placer.add);
+    placer.flush();
+  }
+
+  // Prompt objects an operation targets: a record id, or every object of a type
+  // (entity type, alias or tag name)
+  function findTargets(keys) {
+    const matches = new Set();
+    keys.forEach((key) => {
+      const name = String(key).toLowerCase();
+      const byId = promptObjects.find((object) => recordId(object.userData.promptRecord) === name);
+      if (byId) {
+        matches.add(byId);
+        return;
       }
+      const type = normalizeEntityType(name) || name;
+      promptObjects.forEach((object) => {
+        const record = object.userData.promptRecord;
+        if (record && (record.type === name || record.type === type)) matches.add(object);
+      });
     });
+    return promptObjects.filter((object) => matches.has(object));
+  }
+
+  function centroidOf(objects) {
+    const centroid = new THREE.Vector3();
+    objects.forEach((object) => centroid.add(new THREE.Vector3().fromArray(objectCenter(object))));
+    return centroid.divideScalar(objects.length);
   }
 
-  function applyPromptPlan(plan) {
-    if (plan?.tags instanceof Set) {
-      spawnFromTags(plan.tags);
-    } else if (Array.isArray(plan?.tags)) {
-      spawnFromTags(new Set(plan.tags));
+  // Where a prompt object stands now: its record's center, or for an animal
+  // that has walked off, the spot it has reached (the record keeps the spawn point)
+  function objectCenter(object) {
+    const { center } = object.userData.promptRecord;
+    return agents.has(object) ? [object.position.x, center[1], object.position.z] : center;
+  }
+
+  // Rebuilds an object from an edited copy of its record, in the same queue slot
+  function editPromptObject(object, { spec, center }) {
+    const from = object.userData.promptRecord;
+    const index = promptObjects.indexOf(object);
+    const to = { ...from, spec: { ...from.spec, ...spec }, center: center || objectCenter(object) };
+    removePromptObject(object);
+    if (spawnRecord(to, { index, tracked: false })) {
+      openTransaction?.steps.push({ type: "replace", from, to, index });
+    } else {
+      openTransaction?.steps.push({ type: "remove", record: from, index });
     }
-    if (Array.isArray(plan?.entities) && plan.entities.length) {
-      spawnFromEntities(plan.entities);
+  }
+
+  function runOperation(operation, rng, origin) {
+    const targets = findTargets(Array.isArray(operation.targets) ? operation.targets : []);
+    if (!targets.length) return;
+    switch (operation.op) {
+      case "remove":
+        removeRecordsById(targets.map((object) => recordId(object.userData.promptRecord)));
+        break;
+      case "recolor":
+        if (!resolveColor(operation.color)) return;
+        targets.forEach((object) => editPromptObject(object, { spec: { tint: operation.color } }));
+        break;
+      case "scale": {
+        const factor = Number(operation.factor);
+        if (!Number.isFinite(factor) || factor <= 0) return;
+        targets.forEach((object) => {
+          const current = Number(object.userData.promptRecord.spec.resize) || 1;
+          editPromptObject(object, { spec: { resize: THREE.MathUtils.clamp(current * factor, 0.1, 10) } });
+        });
+        break;
+      }
+      case "move": {
+        // The group keeps its layout; its centroid goes where the placement says
+        const findAnchor = (key) => {
+          const anchorObjects = findTargets([key]);
+          return anchorObjects.length ? centroidOf(anchorObjects) : null;
+        };
+        const [destination] = placementCenters({ placement: operation.placement }, 1, rng, origin, findAnchor) || [];
+        if (!destination) return;
+        const offset = destination.sub(centroidOf(targets));
+        targets.forEach((object) => {
+          const [x, y, z] = objectCenter(object);
+          editPromptObject(object, { center: [x + offset.x, y, z + offset.z] });
+        });
+        break;
+      }
+      default:
+        break;
     }
   }
 
+  // Seed, origin, rng and transaction shared by every step of one plan
+  function createPlanRun({ seed, origin, meta } = {}) {
+    const planSeed = seed === undefined || seed === null ? randomSeed() : toSeed(seed);
+    const [originX, originZ] =
+      Array.isArray(origin) && origin.length >= 2 && origin.every(Number.isFinite)
+        ? origin
+        : [camera.position.x, camera.position.z];
+    const originVector = new THREE.Vector3(originX, 0, originZ);
+    const rng = createRng(planSeed);
+    return {
+      applied: { seed: planSeed, origin: [originX, originZ] },
+      originVector,
+      rng,
+      transaction: createTransaction(meta),
+      placer: createEntityPlacer(rng, originVector),
+    };
+  }
+
+  function readPlan(plan) {
+    return {
+      tags: plan?.tags instanceof Set || Array.isArray(plan?.tags) ? Array.from(plan.tags) : [],
+      entities: Array.isArray(plan?.entities) ? plan.entities : [],
+      remove: Array.isArray(plan?.remove) ? plan.remove.map(String) : [],
+      operations: Array.isArray(plan?.operations)
+        ? plan.operations.filter((operation) => operation && typeof operation === "object")
+        : [],
+      weather: resolveWeather(plan?.weather),
+    };
+  }
+
+  // Runs the plan steps after the entities have been placed, records the plan
+  // and commits its transaction
+  function finishPlanRun(run, parts, { streamed = false } = {}) {
+    const { tags, entities, remove, operations, weather: planWeather } = parts;
+    const { transaction, rng, originVector } = run;
+    transaction.planEntry = {
+      plan: {
+        tags,
+        entities,
+        remove,
+        ...(operations.length ? { operations } : {}),
+        ...(planWeather ? { weather: planWeather } : {}),
+        ...(streamed ? { streamed: true } : {}),
+      },
+      ...run.applied,
+      meta: transaction.meta,
+    };
+    withTransaction(transaction, () => {
+      if (remove.length) {
+        removeRecordsById(remove);
+      }
+      operations
+        .filter((operation) => operation.op === "remove")
+        .forEach((operation) => runOperation(operation, rng, originVector));
+      if (tags.length) {
+        spawnFromTags(new Set(tags), rng, originVector);
+      }
+      if (!streamed) {
+        entities.forEach(run.placer.add);
+      }
+      run.placer.flush();
+      operations
+        .filter((operation) => operation.op !== "remove")
+        .forEach((operation) => runOperation(operation, rng, originVector));
+    });
+
+    // An explicit weather wins; otherwise a storm tag or entity brings its weather
+    const stormEntity = entities.find((entity) => String(entity?.type || "").toLowerCase() === "storm");
+    const nextWeather =
+      planWeather ||
+      (stormEntity ? weatherForStorm(stormEntity) : null) ||
+      (tags.includes("storm") ? weatherForStorm() : null);
+    if (nextWeather && nextWeather !== weather.get()) {
+      transaction.weather = { from: weather.get(), to: nextWeather };
+      setWeather(nextWeather);
+    }
+    commitTransaction(transaction);
+    return run.applied;
+  }
+
+  // Applies a prompt plan. The same plan, seed and origin always rebuild the
+  // same objects; the values used are returned so the caller can replay them.
+  // Removals run before additions; other edits run after them, so "make the
+  // pyramids red" also covers pyramids added by the same plan. Streamed plans
+  // placed their entities first, and replay them in that order.
+  function applyPromptPlan(plan, options = {}) {
+    const run = createPlanRun(options);
+    const parts = readPlan(plan);
+    const streamed = plan?.streamed === true;
+    if (streamed) {
+      withTransaction(run.transaction, () => parts.entities.forEach(run.placer.add));
+    }
+    return finishPlanRun(run, parts, { streamed });
+  }
+
+  /**
+   * Start a plan whose entities arrive one by one (streamed AI responses). Each
+   * entity is placed as soon as it is added; finish(plan) runs the rest of the
+   * plan and records everything as one undo step and one history entry.
+   */
+  function beginPromptPlan(options = {}) {
+    const run = createPlanRun(options);
+    const entities = [];
+    const session = {
+      seed: run.applied.seed,
+      origin: run.applied.origin,
+      addEntity(entity) {
+        if (activePlanSession !== session) return;
+        entities.push(entity);
+        withTransaction(run.transaction, () => run.placer.add(entity));
+      },
+      // plan.entities lists every entity of the plan; the ones not streamed yet are placed now.
+      // With replace the plan is a new answer (the server retried the model):
+      // what was streamed is taken back and the plan applied as a whole, from the same seed.
+      finish(plan = {}, { meta, replace = false } = {}) {
+        if (activePlanSession !== session) return null;
+        activePlanSession = null;
+        Object.assign(run.transaction.meta, meta);
+        if (replace) {
+          revertSteps(run.transaction.steps);
+          const fresh = createPlanRun({ seed: run.applied.seed, origin: run.applied.origin, meta: run.transaction.meta });
+          return finishPlanRun(fresh, readPlan(plan));
+        }
+        const parts = readPlan(plan);
+        const rest = parts.entities.slice(entities.length);
+        withTransaction(run.transaction, () => rest.forEach(run.placer.add));
+        return finishPlanRun(run, { ...parts, entities: [...entities, ...rest] }, { streamed: true });
+      },
+    };
+    // A newer session takes over; the previous one is finished with what it placed
+    activePlanSession?.finish();
+    activePlanSession = session;
+    return session;
+  }
+
+  // Selection
+  function findPromptRoot(object) {
+    let current = object;
+    while (current && current.parent !== promptGroup) {
+      current = current.parent;
+    }
+    return current && promptObjects.includes(current) ? current : null;
+  }
+
+  function selectObject(object) {
+    if (object === selectedObject) return;
+    if (selectionHelper) {
+      scene.remove(selectionHelper);
+      selectionHelper.geometry.dispose();
+      selectionHelper.material.dispose();
+      selectionHelper = null;
+    }
+    selectedObject = object;
+    if (object) {
+      selectionHelper = new THREE.BoxHelper(object, 0xffb703);
+      selectionHelper.material.depthTest = false;
+      selectionHelper.material.transparent = true;
+      selectionHelper.renderOrder = 999;
+      scene.add(selectionHelper);
+    }
+    onSelectionChange?.(getSelection());
+  }
+
+  function getSelection() {
+    const record = selectedObject?.userData.promptRecord;
+    return record ? describeRecord(record) : null;
+  }
+
+  // Deletion goes through applyPromptPlan so it can be undone and shared
+  function deleteSelected() {
+    const selection = getSelection();
+    if (!selection) return null;
+    applyPromptPlan(
+      { remove: [selection.id] },
+      { meta: { prompt: `Eliminar ${selection.label}`, summary: "Objeto eliminado" } }
+    );
+    onObjectDeleted?.(selection);
+    return selection;
+  }
+
+  // Compact view of the scene for the AI endpoint, so prompts can edit existing objects
+  function describeScene() {
+    return {
+      player: [Math.round(camera.position.x), Math.round(camera.position.z)],
+      objects: promptObjects
+        .filter((object) => object.userData.promptRecord)
+        .map((object) => {
+          const record = object.userData.promptRecord;
+          const [x, , z] = objectCenter(object);
+          const entry = {
+            id: recordId(record),
+            type: record.type,
+            x: Math.round(x),
+            z: Math.round(z),
+          };
+          const color = record.spec.tint || record.spec.color;
+          if (typeof color === "string") entry.color = color;
+          const resize = Number(record.spec.resize);
+          if (Number.isFinite(resize) && resize !== 1) entry.scale = Math.round(resize * 100) / 100;
+          return entry;
+        }),
+    };
+  }
+
+  function getPlanHistory() {
+    return planHistory.map((entry) => ({ ...entry }));
+  }
+
+  // Last frame's draw calls and triangles (shadow passes included), instance
+  // batches and how many LOD objects show each level
+  function getRenderStats() {
+    const lod = { high: 0, medium: 0, low: 0, impostor: 0 };
+    lodObjects.forEach((object) => {
+      lod[currentLevelName(object)] += 1;
+    });
+    const { calls, triangles } = renderer.info.render;
+    return { calls, triangles, ...instances.getStats(), lod, agents: agents.count() };
+  }
+
+  // Day cycle
   function setDayStage(stage) {
-    const settings = DAY_STAGES[stage] || DAY_STAGES.amanecer;
-    scene.background.set(settings.skyColor);
-    scene.fog.color.set(settings.fogColor);
-    scene.fog.density = settings.fogDensity;
-    ambient.intensity = settings.ambientIntensity;
-    sun.intensity = settings.sunIntensity;
-    sun.color.set(settings.sunColor);
-    sky.material.color.set(settings.skyColor);
+    if (stage === DAY_CYCLE_STAGE) {
+      // Keep the current time so switching to the cycle does not jump
+      currentDayStage = DAY_CYCLE_STAGE;
+      return;
+    }
+    currentDayStage = DAY_STAGES[stage] ? stage : "amanecer";
+    applyTimeOfDay(DAY_STAGES[currentDayStage].time);
+  }
+
+  function setWeather(type) {
+    const key = weather.set(type);
+    onWeatherChange?.(key);
+    return key;
+  }
+
+  function updateDayCycle(delta) {
+    if (currentDayStage !== DAY_CYCLE_STAGE) return;
+    applyTimeOfDay((timeOfDay + delta / dayLength) % 1);
+  }
+
+  function setDayLength(seconds) {
+    const value = Number(seconds);
+    if (!Number.isFinite(value)) return dayLength;
+    dayLength = THREE.MathUtils.clamp(value, MIN_DAY_LENGTH_SECONDS, MAX_DAY_LENGTH_SECONDS);
+    return dayLength;
+  }
+
+  function applyTimeOfDay(time) {
+    timeOfDay = time;
+
+    // Blend the two keyframes around this time
+    let next = DAY_CYCLE_KEYFRAMES.findIndex(([keyTime]) => keyTime > time);
+    if (next <= 0) next = DAY_CYCLE_KEYFRAMES.length - 1;
+    const [fromTime, fromStage] = DAY_CYCLE_KEYFRAMES[next - 1];
+    const [toTime, toStage] = DAY_CYCLE_KEYFRAMES[next];
+    const t = THREE.MathUtils.clamp((time - fromTime) / (toTime - fromTime), 0, 1);
+    const from = DAY_STAGES[fromStage];
+    const to = DAY_STAGES[toStage];
+
+    // Sky, fog and intensities reach the scene through weather.applyAtmosphere
+    atmosphere.skyColor.setHex(from.skyColor).lerp(tmpColor.setHex(to.skyColor), t);
+    atmosphere.fogColor.setHex(from.fogColor).lerp(tmpColor.setHex(to.fogColor), t);
+    atmosphere.fogDensity = THREE.MathUtils.lerp(from.fogDensity, to.fogDensity, t);
+    atmosphere.ambientIntensity = THREE.MathUtils.lerp(from.ambientIntensity, to.ambientIntensity, t);
+    atmosphere.sunIntensity = THREE.MathUtils.lerp(from.sunIntensity, to.sunIntensity, t);
+    sun.color.setHex(from.sunColor).lerp(tmpColor.setHex(to.sunColor), t);
+
+    // Sun rises in the east (+x) at 0.25 and sets in the west at 0.75; the moon sits opposite
+    const angle = (time - 0.25) * Math.PI * 2;
+    sunDirection.set(Math.cos(angle), Math.sin(angle), -0.5).normalize();
+    sunDisk.quaternion.setFromUnitVectors(SUN_DISK_DIRECTION, sunDirection);
+    moon.quaternion.setFromUnitVectors(MOON_DIRECTION, tmpVector.copy(sunDirection).negate());
+    sunDisk.visible = sunDirection.y > -0.15;
+    moon.visible = sunDirection.y < 0.15;
+
+    // At night the directional light becomes moonlight
+    lightDirection.copy(sunDirection);
+    if (lightDirection.y < 0) lightDirection.negate();
+
+    const night = THREE.MathUtils.clamp((0.1 - sunDirection.y) / 0.3, 0, 1);
+    starfield.material.opacity = 0.8 * night;
+    starfield.visible = night > 0.01;
+  }
+
+  // Serializes every prompt object (record + transform) and the day stage
+  function exportWorld() {
+    return {
+      version: SNAPSHOT_VERSION,
+      dayStage: currentDayStage,
+      weather: weather.get(),
+      objects: promptObjects
+        .filter((object) => object.userData.promptRecord)
+        .map((object) => ({
+          ...object.userData.promptRecord,
+          position: object.position.toArray(),
+          rotation: object.rotation.toArray().slice(0, 3),
+          scale: object.scale.toArray(),
+        })),
+    };
+  }
+
+  // Replaces the current prompt objects with the ones in a snapshot
+  function importWorld(json) {
+    const snapshot = typeof json === "string" ? JSON.parse(json) : json;
+    if (!snapshot || typeof snapshot !== "object" || !Array.isArray(snapshot.objects)) {
+      throw new Error("Escena invalida");
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Version de escena no soportada: ${snapshot.version}`);
+    }
+
+    clearPromptObjects();
+    clearHistory();
+    let restored = 0;
+    snapshot.objects.slice(-MAX_PROMPT_OBJECTS).forEach((entry) => {
+      const center = Array.isArray(entry?.center) ? entry.center.slice(0, 3).map(Number) : [];
+      if (center.length !== 3 || !center.every(Number.isFinite)) return;
+      const object = spawnRecord({
+        kind: entry.kind === "tag" ? "tag" : "entity",
+        type: String(entry.type || ""),
+        spec: entry.spec && typeof entry.spec === "object" ? entry.spec : {},
+        center,
+        seed: entry.seed === undefined ? randomSeed() : toSeed(entry.seed),
+      });
+      if (!object) return;
+      if (Array.isArray(entry.position)) object.position.fromArray(entry.position);
+      if (Array.isArray(entry.rotation)) object.rotation.set(...entry.rotation.slice(0, 3));
+      if (Array.isArray(entry.scale)) object.scale.fromArray(entry.scale);
+      if (!agents.has(object)) collisions.add(object);
+      restored += 1;
+    });
+
+    setDayStage(snapshot.dayStage);
+    setWeather(snapshot.weather);
+    return { dayStage: currentDayStage, weather: weather.get(), count: restored };
   }
 
   // Cleanup function
@@ -425,6 +1329,7 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
     // Remove event listeners
     document.removeEventListener("keydown", handleKeyDown);
     document.removeEventListener("keyup", handleKeyUp);
+    document.removeEventListener("click", handlePick);
     document.removeEventListener("visibilitychange", handleVisibilityChange);
     window.removeEventListener("resize", handleResize);
 
@@ -432,8 +1337,15 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
     touchCleanupFns.forEach((fn) => fn());
 
     // Dispose prompt objects
-    promptObjects.forEach((obj) => disposeObject(obj));
-    promptObjects.length = 0;
+    selectObject(null);
+    clearPromptObjects();
+    collisions.clear();
+    instances.dispose();
+    agents.dispose();
+    terrain.dispose();
+    weather.dispose();
+    undoStack.length = 0;
+    redoStack.length = 0;
 
     // Dispose scene objects
     scene.traverse((child) => {
@@ -455,55 +1367,42 @@ export function createWorld(canvas, { onPointerLockChange, onPointerLockError })
   }
 
   // Initial landscape
-  spawnFromTags(new Set(["rocks", "cacti", "mirage"]));
+  spawnFromTags(new Set(["rocks", "cacti", "mirage"]), createRng(worldSeed), camera.position.clone());
 
   return {
     requestPointerLock,
     spawnFromTags,
     spawnFromEntities,
     applyPromptPlan,
+    beginPromptPlan,
+    exportWorld,
+    importWorld,
+    getSeed: () => worldSeed,
+    getHeightAt,
+    getDayStage: () => currentDayStage,
+    getTimeOfDay: () => timeOfDay,
+    getDayLength: () => dayLength,
+    getPlanHistory,
+    getRenderStats,
+    describeScene,
+    undo,
+    redo,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    getSelection,
+    clearSelection: () => selectObject(null),
+    deleteSelected,
     resize: handleResize,
     setDayStage,
+    setDayLength,
+    setWeather,
+    getWeather: () => weather.get(),
     dispose,
   };
 }
 
 // ========== Helper Functions ==========
 
-function createDunes() {
-  const geometry = new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE, 200, 200);
-  const position = geometry.attributes.position;
-
-  // Simple dune noise
-  for (let i = 0; i < position.count; i += 1) {
-    const x = position.getX(i);
-    const y = position.getY(i);
-    const noise =
-      Math.sin(x * 0.004) * 2 +
-      Math.cos(y * 0.003) * 1.9 +
-      Math.sin(x * 0.012 + y * 0.008) * 0.8 +
-      (Math.random() - 0.5) * 0.3;
-    position.setZ(i, noise);
-  }
-
-  geometry.computeVertexNormals();
-
-  // Create material directly to ensure it works
-  const material = new THREE.MeshStandardMaterial({
-    color: 0xd4a56a,
-    roughness: 0.9,
-    metalness: 0,
-    flatShading: true,
-    side: THREE.DoubleSide,
-  });
-
-  const mesh = new THREE.Mesh(geometry, material);
-  mesh.rotation.x = -Math.PI / 2;
-  mesh.position.y = 0;
-  mesh.receiveShadow = true;
-  return mesh;
-}
-
 function createPlanets() {
   const group = new THREE.Group();
 
@@ -825,7 +1724,7 @@ function updateHeatWaves(waves, time) {
   });
 }
 
-function updateAnimatedObjects(objects, time) {
+function updateAnimatedObjects(objects, time, delta) {
   for (const obj of objects) {
     const anim = obj.userData;
     if (!anim.animated) continue;
@@ -884,6 +1783,11 @@ function updateAnimatedObjects(objects, time) {
         obj.position.y = baseY + Math.abs(Math.sin(time * bobSpeed + phase)) * bobAmount;
         break;
       }
+      case "gait": {
+        // Walk cycle of a rigged human or animal (see locomotion.js)
+        updateGait(anim.gait, delta, time);
+        break;
+      }
       default:
         break;
     }
@@ -906,22 +1810,51 @@ function createDust() {
   return { points, positions, speeds };
 }
 
-function updateDust(layer, delta) {
+// speed scales the rise of each mote; wind (units/s) pushes them along x
+function updateDust(layer, delta, speed = 1, wind = 0) {
   const positions = layer.positions;
   const speeds = layer.speeds;
+  const drift = wind * delta;
   for (let i = 0; i < positions.length / 3; i += 1) {
-    positions[i * 3 + 1] += Math.sin(delta + i * 0.02) * 0.04 + speeds[i] * 0.08;
+    positions[i * 3 + 1] += Math.sin(delta + i * 0.02) * 0.04 + speeds[i] * 0.08 * speed;
     if (positions[i * 3 + 1] > 140) {
       positions[i * 3 + 1] = 5;
     }
+    if (drift) {
+      positions[i * 3] += drift * (0.6 + speeds[i] * 2);
+      if (positions[i * 3] > 600) {
+        positions[i * 3] -= 1200;
+      }
+    }
   }
   layer.points.rotation.y += delta * 0.01;
   layer.points.geometry.attributes.position.needsUpdate = true;
 }
 
+// Records are identified by their seed, which is unique within a scene
+function recordId(record) {
+  return record ? toSeed(record.seed).toString(36) : "";
+}
+
+function describeRecord(record) {
+  return {
+    id: recordId(record),
+    kind: record.kind,
+    type: record.type,
+    label: record.kind === "tag" ? tagLabel(record.type) : entityLabel(record.type),
+    spec: { ...record.spec },
+  };
+}
+
+function isTextField(target) {
+  const tag = target?.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || !!target?.isContentEditable;
+}
+
 function disposeObject(obj) {
   obj.traverse?.((child) => {
-    if (child.geometry) child.geometry.dispose();
+    // Shared geometries (instancing.js) outlive any one object
+    if (child.geometry && !child.geometry.userData.shared) child.geometry.dispose();
     if (child.material) {
       if (Array.isArray(child.material)) {
         child.material.forEach((mat) => mat.dispose?.());
@@ -1025,7 +1958,7 @@ function bindTouchControls(keys, touchLook, controls, camera) {
   return cleanupFns;
 }
 
-function createPriestShrine({ scene, camera, trackUrl }) {
+function createPriestShrine({ scene, camera, trackUrl, getHeightAt, collisions }) {
   const shrine = new THREE.Group();
 
   const platform = new THREE.Mesh(
@@ -1067,8 +2000,9 @@ function createPriestShrine({ scene, camera, trackUrl }) {
   flameLight.position.y = 10.2;
   shrine.add(flameLight);
 
-  shrine.position.set(30, 0, -70);
+  shrine.position.set(30, getHeightAt(30, -70), -70);
   scene.add(shrine);
+  collisions?.add(shrine);
 
   const spatialTrack = createSpatialTrack({
     url: trackUrl,